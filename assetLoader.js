@@ -0,0 +1,49 @@
+import * as THREE from 'three';
+
+// --- Asset preloader ---
+// One THREE.LoadingManager shared by every texture / model loader (material library, level props,
+// the ghost), so the terminal can show loading progress and hold the night menu back until all
+// of them have finished. Failed assets are only collected here; the loaders themselves swap in
+// their fallbacks (flat textures, the procedural ghost).
+export class AssetLoader {
+    constructor() {
+        this.manager = new THREE.LoadingManager();
+        this.failed = [];     // URLs that could not be loaded
+        this.busy = false;    // Loads in flight
+        this.started = false; // Every load has been queued (see start)
+        this.isReady = false;
+
+        this.onProgress = null; // (loaded, total)
+        this.onReady = null;    // (failedUrls), fired once
+
+        this.manager.onStart = (url, loaded, total) => {
+            this.busy = true;
+            if (this.onProgress) this.onProgress(loaded, total);
+        };
+        this.manager.onProgress = (url, loaded, total) => {
+            if (this.onProgress) this.onProgress(loaded, total);
+        };
+        this.manager.onError = url => {
+            console.warn(`Asset failed to load: ${url}`);
+            this.failed.push(url);
+        };
+        this.manager.onLoad = () => {
+            this.busy = false;
+            this.checkReady();
+        };
+    }
+
+    // Call once every load has been queued. onReady fires as soon as they are all done
+    // (right away if nothing is loading). Loads queued by a finished one (an OBJ after its MTL)
+    // are started before it ends, so the manager does not report done in between.
+    start() {
+        this.started = true;
+        this.checkReady();
+    }
+
+    checkReady() {
+        if (!this.started || this.busy || this.isReady) return;
+        this.isReady = true;
+        if (this.onReady) this.onReady(this.failed);
+    }
+}
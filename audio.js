@@ -0,0 +1,284 @@
+import * as THREE from 'three';
+import { random } from './rng.js';
+
+// --- config ---
+const CONFIG = {
+    masterVolume: 0.8,
+    refDistance: 6,         // PositionalAudio: distance where volume starts to fall off
+    whisperVolume: 0.6,
+    footstepVolume: 0.9,
+    footstepInterval: 0.55, // Seconds between steps while the ghost approaches
+    humVolume: 0.25,
+    doorVolume: 1.0,
+    clickVolume: 0.5,
+    flareVolume: 0.7,
+    glassVolume: 1.2,
+    scrapeVolume: 1.5       // Vent scraping at full vent threat
+};
+
+// --- Procedural sound generation ---
+// The repo ships no audio assets, so every sound is synthesized into an AudioBuffer once.
+
+function createBuffer(context, duration, sampleFn) {
+    const length = Math.floor(context.sampleRate * duration);
+    const buffer = context.createBuffer(1, length, context.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < length; i++) {
+        data[i] = sampleFn(i / context.sampleRate, i / length);
+    }
+    return buffer;
+}
+
+// Breathy whisper: noise, smoothed into a band and syllable-modulated (seamless 2 s loop)
+function createWhisperBuffer(context) {
+    let smooth = 0;
+    let prev = 0;
+    return createBuffer(context, 2.0, (t) => {
+        const noise = Math.random() * 2 - 1;
+        smooth += (noise - smooth) * 0.35; // Low-pass
+        const band = smooth - prev;        // High-pass -> hiss band
+        prev = smooth;
+        const syllables = Math.max(0, Math.sin(t * Math.PI * 3.5)) * (0.6 + 0.4 * Math.sin(t * Math.PI * 1.0));
+        return band * syllables * 3.0;
+    });
+}
+
+// Heavy dragging footstep: decaying low thump plus a short scrape
+function createFootstepBuffer(context) {
+    return createBuffer(context, 0.35, (t) => {
+        const thump = Math.sin(2 * Math.PI * 55 * t) * Math.exp(-t * 18);
+        const scrape = (Math.random() * 2 - 1) * Math.exp(-t * 30) * 0.3;
+        return thump + scrape;
+    });
+}
+
+// Old motor-driven security door: rising metallic whine
+function createDoorMoveBuffer(context, rising) {
+    return createBuffer(context, 0.6, (t, p) => {
+        const freq = rising ? 90 + 60 * p : 150 - 60 * p;
+        const saw = ((t * freq) % 1) * 2 - 1;
+        const envelope = Math.sin(Math.PI * p);
+        return saw * envelope * 0.35 + (Math.random() * 2 - 1) * envelope * 0.05;
+    });
+}
+
+// Door hitting the frame (softer) or slamming into the entity (louder, longer, noisier)
+function createDoorImpactBuffer(context, isSlam) {
+    const duration = isSlam ? 1.2 : 0.5;
+    return createBuffer(context, duration, (t) => {
+        const decay = Math.exp(-t * (isSlam ? 5 : 12));
+        const body = Math.sin(2 * Math.PI * (isSlam ? 45 : 70) * t) * decay;
+        const ring = Math.sin(2 * Math.PI * 420 * t) * Math.exp(-t * 8) * 0.2;
+        const crash = (Math.random() * 2 - 1) * Math.exp(-t * (isSlam ? 6 : 40)) * (isSlam ? 0.6 : 0.2);
+        return body + ring + crash;
+    });
+}
+
+// Flashlight switch click
+function createClickBuffer(context) {
+    return createBuffer(context, 0.03, (t) => (Math.random() * 2 - 1) * Math.exp(-t * 300));
+}
+
+// Night-vision tube overloading: a piercing whine that sags as it burns out, over crackle
+function createFlareBuffer(context) {
+    return createBuffer(context, 1.5, (t, p) => {
+        const whine = Math.sin(2 * Math.PI * (6000 - 3500 * p) * t) * (1 - p);
+        const crackle = (Math.random() * 2 - 1) * Math.exp(-t * 4) * 0.4;
+        return (whine * 0.6 + crackle) * Math.min(1, t * 200);
+    });
+}
+
+// Window pane cracking: a sharp snap, then a spray of tiny glass tinkles
+function createGlassCrackBuffer(context) {
+    const tinkles = Array.from({ length: 12 }, () => ({ at: 0.05 + random('fx') * 0.6, pitch: 3000 + random('fx') * 5000 }));
+    return createBuffer(context, 1.0, (t) => {
+        const snap = (random('fx') * 2 - 1) * Math.exp(-t * 40);
+        let tinkle = 0;
+        tinkles.forEach(({ at, pitch }) => {
+            if (t >= at) tinkle += Math.sin(2 * Math.PI * pitch * (t - at)) * Math.exp(-(t - at) * 30) * 0.25;
+        });
+        return snap + tinkle;
+    });
+}
+
+// Something dragging itself through a metal duct: resonant noise in slow pulls (seamless 2 s loop)
+function createScrapeBuffer(context) {
+    let smooth = 0;
+    return createBuffer(context, 2.0, (t) => {
+        smooth += ((Math.random() * 2 - 1) - smooth) * 0.15; // Low-pass rumble
+        const ring = Math.sin(2 * Math.PI * 420 * t) * 0.3 + Math.sin(2 * Math.PI * 1130 * t) * 0.15;
+        const pulls = Math.pow(Math.max(0, Math.sin(t * Math.PI * 3)), 3);
+        return (smooth * 2 + ring * Math.abs(smooth) * 4) * pulls;
+    });
+}
+
+// Electrical mains hum (whole cycles in 1 s, so it loops without a click)
+function createHumBuffer(context) {
+    return createBuffer(context, 1.0, (t) => {
+        return Math.sin(2 * Math.PI * 50 * t) * 0.6 + Math.sin(2 * Math.PI * 100 * t) * 0.3
+            + Math.sin(2 * Math.PI * 150 * t) * 0.1;
+    });
+}
+
+// Positional and ambient sound for the office. Listener rides on the player camera.
+export class AudioManager {
+    constructor(camera, scene) {
+        this.listener = new THREE.AudioListener();
+        this.listener.setMasterVolume(CONFIG.masterVolume);
+        camera.add(this.listener);
+
+        const context = this.listener.context;
+        this.buffers = {
+            whisper: createWhisperBuffer(context),
+            footstep: createFootstepBuffer(context),
+            doorOpen: createDoorMoveBuffer(context, true),
+            doorClose: createDoorMoveBuffer(context, false),
+            doorShut: createDoorImpactBuffer(context, false),
+            doorSlam: createDoorImpactBuffer(context, true),
+            click: createClickBuffer(context),
+            flare: createFlareBuffer(context),
+            glassCrack: createGlassCrackBuffer(context),
+            scrape: createScrapeBuffer(context),
+            hum: createHumBuffer(context)
+        };
+
+        // --- Ghost emitter (position synced from the simulation every frame) ---
+        this.ghostEmitter = new THREE.Object3D();
+        scene.add(this.ghostEmitter);
+        this.whisper = this.createPositional(this.ghostEmitter, 'whisper', 0, true);
+        this.footstep = this.createPositional(this.ghostEmitter, 'footstep', CONFIG.footstepVolume, false);
+        this.footstepTimer = 0;
+
+        // --- Room hum at the ceiling lamp ---
+        this.humEmitter = new THREE.Object3D();
+        this.humEmitter.position.set(0, 13.5, 0);
+        scene.add(this.humEmitter);
+        this.hum = this.createPositional(this.humEmitter, 'hum', 0, true);
+
+        // --- Flashlight click (non-positional, it is in the player's hand) ---
+        this.click = new THREE.Audio(this.listener);
+        this.click.setBuffer(this.buffers.click);
+        this.click.setVolume(CONFIG.clickVolume);
+
+        // --- Night-vision flare (in the player's ears, non-positional) ---
+        this.flare = new THREE.Audio(this.listener);
+        this.flare.setBuffer(this.buffers.flare);
+        this.flare.setVolume(CONFIG.flareVolume);
+
+        // --- Door emitters, added with attachDoor(); the window pane with attachWindow() ---
+        this.doors = {};
+        this.glassCrack = null;
+        this.scrape = null; // Ceiling vent, added with attachVent()
+        this.started = false;
+    }
+
+    createPositional(parent, bufferName, volume, loop) {
+        const sound = new THREE.PositionalAudio(this.listener);
+        sound.setBuffer(this.buffers[bufferName]);
+        sound.setRefDistance(CONFIG.refDistance);
+        sound.setLoop(loop);
+        sound.setVolume(volume);
+        parent.add(sound);
+        return sound;
+    }
+
+    // Give a door its own open / close / shut / slam sounds at its position
+    attachDoor(side, doorGroup) {
+        this.doors[side] = {
+            open: this.createPositional(doorGroup, 'doorOpen', CONFIG.doorVolume, false),
+            close: this.createPositional(doorGroup, 'doorClose', CONFIG.doorVolume, false),
+            shut: this.createPositional(doorGroup, 'doorShut', CONFIG.doorVolume, false),
+            slam: this.createPositional(doorGroup, 'doorSlam', CONFIG.doorVolume * 1.5, false)
+        };
+    }
+
+    // Give the window pane its crack sound
+    attachWindow(pane) {
+        this.glassCrack = this.createPositional(pane, 'glassCrack', CONFIG.glassVolume, false);
+    }
+
+    // Scraping from the ceiling vent grate (position: THREE.Vector3)
+    attachVent(scene, position) {
+        const emitter = new THREE.Object3D();
+        emitter.position.copy(position);
+        scene.add(emitter);
+        this.scrape = this.createPositional(emitter, 'scrape', 0, true);
+    }
+
+    // Browsers only allow audio after a user gesture: call from a click handler
+    resume() {
+        const context = this.listener.context;
+        if (context.state === 'suspended') context.resume();
+
+        if (!this.started) {
+            this.started = true;
+            this.whisper.play();
+            this.hum.play();
+            if (this.scrape) this.scrape.play();
+        }
+    }
+
+    // Pause everything (game paused / overlay shown)
+    suspend() {
+        const context = this.listener.context;
+        if (context.state === 'running') context.suspend();
+    }
+
+    playOneShot(sound) {
+        if (!this.started || !sound) return;
+        if (sound.isPlaying) sound.stop();
+        sound.play();
+    }
+
+    // type: 'open' | 'close' | 'shut' | 'slam'
+    playDoor(side, type) {
+        const door = this.doors[side];
+        if (door) this.playOneShot(door[type]);
+    }
+
+    playClick() {
+        this.playOneShot(this.click);
+    }
+
+    playFlare() {
+        this.playOneShot(this.flare);
+    }
+
+    playGlassCrack() {
+        this.playOneShot(this.glassCrack);
+    }
+
+    // ghostPosition: plain {x, y, z} or null, ghostPhase: simulation phase
+    // lampLevel: 0..1 ceiling lamp brightness (the hum follows the flicker)
+    // ventThreat: 0..1 how close something in the ceiling duct is (scraping gets louder)
+    update(dt, ghostPosition, ghostPhase, lampLevel, ventThreat = 0) {
+        if (!this.started) return;
+
+        // Ghost: whispers and dragging footsteps while it approaches, faint whispers while it lurks
+        let whisperTarget = 0;
+        if (ghostPosition) {
+            this.ghostEmitter.position.set(ghostPosition.x, ghostPosition.y, ghostPosition.z);
+
+            if (ghostPhase === 'approach') {
+                whisperTarget = CONFIG.whisperVolume;
+                this.footstepTimer += dt;
+                if (this.footstepTimer >= CONFIG.footstepInterval) {
+                    this.footstepTimer = 0;
+                    this.footstep.setPlaybackRate(0.9 + random('fx') * 0.2);
+                    this.playOneShot(this.footstep);
+                }
+            } else if (ghostPhase === 'stalk' || ghostPhase === 'attack') {
+                whisperTarget = CONFIG.whisperVolume * 1.5;
+            } else if (ghostPhase === 'wander') {
+                whisperTarget = CONFIG.whisperVolume * 0.2;
+            }
+        }
+        const whisperVolume = this.whisper.getVolume();
+        this.whisper.setVolume(whisperVolume + (whisperTarget - whisperVolume) * Math.min(dt * 4, 1));
+
+        // Room hum dips and buzzes with the lamp
+        this.hum.setVolume(CONFIG.humVolume * lampLevel);
+
+        if (this.scrape) this.scrape.setVolume(CONFIG.scrapeVolume * ventThreat);
+    }
+}
@@ -0,0 +1,114 @@
+import { random } from './rng.js';
+
+// --- config ---
+const CONFIG = {
+    maxOffset: 0.5,        // Position shake at full trauma (world units)
+    maxRoll: 0.04,         // Roll shake at full trauma (radians)
+    shakeDecay: 1.5,       // Default trauma lost per second
+    shakeFrequency: 14,    // Default shake speed
+    headBob: {
+        amplitude: 0.015,  // Calm: barely moving in the seat
+        panicAmplitude: 0.05,
+        speed: 1.2         // Bobs per second, calm .. panic doubles it
+    },
+    breathing: {
+        amplitude: 0.03,   // Rise and fall of the chest (world units)
+        roll: 0.004,       // Slight sway (radians)
+        rate: 0.22         // Breaths per second when calm, faster under threat
+    },
+    fovPunchDecay: 5.0,    // Per second, how fast a punch springs back
+    stalkZoom: 8,          // Degrees the view narrows while an entity stalks at a door
+    stalkZoomSpeed: 0.25   // Zoom progress per second (slow creep in, quicker release)
+};
+
+// Frame-based camera effects on top of the seat pose: stacked trauma shakes, head-bob and
+// breathing, FOV punches and the stalk zoom. Updated from animate(); every frame the camera is
+// put back on its base pose first, so effects never move the player for good.
+// Mouse look owns rotation.x / rotation.y, the effects only use position, roll and FOV.
+export class CameraEffects {
+    constructor(camera) {
+        this.camera = camera;
+        this.basePosition = camera.position.clone();
+        this.baseFov = camera.fov;
+
+        this.time = 0;
+        this.shakes = [];  // { trauma, decay, frequency, phases }
+        this.fovPunch = 0; // Degrees, springs back to 0
+        this.zoom = 0;     // 0..1 stalk zoom
+    }
+
+    // Add a shake. Several can run at once, each with its own trauma (0..1) and decay.
+    // Shake strength is trauma squared, so small hits stay subtle and big ones are violent.
+    shake(trauma, decay = CONFIG.shakeDecay, frequency = CONFIG.shakeFrequency) {
+        const phases = [0, 1, 2].map(() => random('fx') * Math.PI * 2);
+        this.shakes.push({ trauma: Math.min(trauma, 1), decay, frequency, phases });
+    }
+
+    // Sudden widening of the view (degrees), e.g. for a scare
+    punchFov(degrees) {
+        this.fovPunch += degrees;
+    }
+
+    // Back on the seat, all effects cleared
+    reset() {
+        this.shakes = [];
+        this.fovPunch = 0;
+        this.zoom = 0;
+        this.apply(0, 0, 0, 0);
+    }
+
+    // isRunning: false while paused (effects freeze)
+    // threat: 0..1, raises head-bob and breathing; stalking: an entity is stalking at a door
+    update(dt, isRunning, threat = 0, stalking = false) {
+        if (!isRunning) return;
+        this.time += dt;
+
+        // Stacked trauma shakes
+        let x = 0, y = 0, roll = 0;
+        this.shakes.forEach(shake => {
+            const strength = shake.trauma * shake.trauma;
+            const t = this.time * shake.frequency;
+            x += strength * CONFIG.maxOffset * smoothNoise(t, shake.phases[0]);
+            y += strength * CONFIG.maxOffset * smoothNoise(t, shake.phases[1]);
+            roll += strength * CONFIG.maxRoll * smoothNoise(t, shake.phases[2]);
+            shake.trauma -= shake.decay * dt;
+        });
+        this.shakes = this.shakes.filter(shake => shake.trauma > 0);
+
+        // Head-bob: restless in the seat, turning into a racing pulse under threat
+        const bob = CONFIG.headBob;
+        const bobAmplitude = bob.amplitude + (bob.panicAmplitude - bob.amplitude) * threat;
+        y += Math.abs(Math.sin(this.time * Math.PI * bob.speed * (1 + threat))) * bobAmplitude;
+
+        // Breathing: slow rise and fall with a slight sway, quicker under threat
+        const breath = Math.sin(this.time * Math.PI * 2 * CONFIG.breathing.rate * (1 + threat * 1.5));
+        y += breath * CONFIG.breathing.amplitude;
+        roll += breath * CONFIG.breathing.roll;
+
+        // FOV: punch springs back, stalk zoom creeps in slowly and lets go quicker
+        this.fovPunch -= this.fovPunch * Math.min(1, CONFIG.fovPunchDecay * dt);
+        const zoomTarget = stalking ? 1 : 0;
+        const zoomSpeed = CONFIG.stalkZoomSpeed * (stalking ? 1 : 3);
+        this.zoom += Math.max(-zoomSpeed * dt, Math.min(zoomSpeed * dt, zoomTarget - this.zoom));
+
+        this.apply(x, y, roll, this.fovPunch - this.zoom * CONFIG.stalkZoom);
+    }
+
+    apply(x, y, roll, fovOffset) {
+        this.camera.position.copy(this.basePosition);
+        this.camera.position.x += x;
+        this.camera.position.y += y;
+        this.camera.rotation.z = roll;
+
+        const fov = this.baseFov + fovOffset;
+        if (this.camera.fov !== fov) {
+            this.camera.fov = fov;
+            this.camera.updateProjectionMatrix();
+        }
+    }
+}
+
+// Smooth -1..1 wobble: two detuned sines
+function smoothNoise(t, phase) {
+    return Math.sin(t + phase) * 0.6 + Math.sin(t * 1.73 + phase * 2.1) * 0.4;
+}
@@ -0,0 +1,109 @@
+// --- Night campaign ---
+// Nights 1-5 are played in order. Night 6 is unlocked by surviving Night 5.
+// Each night carries its own AI profile overrides, handed to enemy.js via setEnemyProfile().
+// Keys not listed keep the defaults from enemy.js (see DEFAULT_AI_PROFILE).
+// `entities` lists the archetypes active at the same time (see DEFAULT_ARCHETYPE_PROFILES in ghostSim.js);
+// `profile` applies to the teleporter.
+
+export const NIGHTS = [
+    {
+        night: 1,
+        entities: ['teleporter'],
+        profile: {
+            approachSpeed: 2.5,    // Corridor walking speed during 'approach'
+            rngCheckInterval: 2.2, // Seconds between teleport checks while the flashlight is off
+            teleportChance: 0.3,   // Chance that a check teleports the ghost to an open door
+            stalkTimeLimit: 6.0,   // Seconds at the door before it attacks
+            windowTimeLimit: 6.0,  // Seconds at the front window before it cracks the pane
+            exposureNeeded: 1.5    // Seconds of flashlight needed to banish it
+        }
+    },
+    {
+        night: 2,
+        entities: ['teleporter'],
+        profile: { approachSpeed: 2.75, rngCheckInterval: 1.8, teleportChance: 0.4, stalkTimeLimit: 5.75, windowTimeLimit: 5.75, exposureNeeded: 1.75 }
+    },
+    {
+        night: 3,
+        entities: ['teleporter', 'crawler'],
+        profile: { approachSpeed: 3.0, rngCheckInterval: 1.5, teleportChance: 0.5, stalkTimeLimit: 5.5, windowTimeLimit: 5.5, exposureNeeded: 2.0 }
+    },
+    {
+        night: 4,
+        entities: ['teleporter', 'lightEater'],
+        profile: { approachSpeed: 3.5, rngCheckInterval: 1.3, teleportChance: 0.55, stalkTimeLimit: 5.25, windowTimeLimit: 5.25, exposureNeeded: 2.25 }
+    },
+    {
+        night: 5,
+        entities: ['teleporter', 'crawler', 'lightEater', 'ventCrawler'],
+        profile: { approachSpeed: 4.0, rngCheckInterval: 1.1, teleportChance: 0.6, stalkTimeLimit: 4.75, windowTimeLimit: 4.75, exposureNeeded: 2.0 }
+    },
+    {
+        // Bonus night, only available after Night 5 is survived
+        night: 6,
+        unlockable: true,
+        entities: ['teleporter', 'crawler', 'lightEater', 'ventCrawler'],
+        profile: {
+            approachSpeed: 4.5, rngCheckInterval: 0.9, teleportChance: 0.7, stalkTimeLimit: 4.4, windowTimeLimit: 4.4, exposureNeeded: 1.6,
+            normalAttackChance: 0.01, nearSideBias: 0.5
+        }
+    }
+];
+
+const STORAGE_KEY = 'watcher-night-shift.progress';
+const LAST_STORY_NIGHT = 5;
+
+function defaultProgress() {
+    return {
+        currentNight: 1,     // Night offered by "Continue"
+        night6Unlocked: false,
+        deathSceneSeen: false // The death sequence can be skipped once it has played in full
+    };
+}
+
+export function getNight(number) {
+    return NIGHTS.find(n => n.night === number) || NIGHTS[0];
+}
+
+// Read saved progress (falls back to Night 1 if storage is unavailable or corrupted)
+export function loadProgress() {
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        if (!raw) return defaultProgress();
+
+        const saved = JSON.parse(raw);
+        const progress = { ...defaultProgress(), ...saved };
+        const maxNight = progress.night6Unlocked ? NIGHTS.length : LAST_STORY_NIGHT;
+        progress.currentNight = Math.min(Math.max(1, progress.currentNight | 0), maxNight);
+        return progress;
+    } catch (error) {
+        console.warn("Could not read saved progress:", error);
+        return defaultProgress();
+    }
+}
+
+export function saveProgress(progress) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(progress));
+    } catch (error) {
+        console.warn("Could not save progress:", error);
+    }
+}
+
+// Called when a night is survived: advance to the next one and persist
+export function completeNight(progress, number) {
+    if (number >= LAST_STORY_NIGHT) progress.night6Unlocked = true;
+
+    const maxNight = progress.night6Unlocked ? NIGHTS.length : LAST_STORY_NIGHT;
+    progress.currentNight = Math.min(number + 1, maxNight);
+
+    saveProgress(progress);
+    return progress;
+}
+
+// "New Game": start over from Night 1 but keep Night 6 unlocked once earned
+export function resetProgress(progress) {
+    progress.currentNight = 1;
+    saveProgress(progress);
+    return progress;
+}
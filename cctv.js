@@ -0,0 +1,158 @@
+import * as THREE from 'three';
+import { random } from './rng.js';
+
+// --- config ---
+const CONFIG = {
+    resolution: { width: 640, height: 480 }, // Feeds are rendered low-res for the CRT look
+    fov: 60,
+    baseStatic: 0.06,      // Always a bit of noise on the line
+    switchStatic: 1.0,     // Static burst when switching feeds
+    staticDecay: 3.0,      // Per second
+    interferenceRange: 14, // Entity closer than this to a camera disturbs its feed
+    cameras: [
+        // Corridor end, near the hall back wall, looking down the corridor at the window
+        { id: 'CAM_01', label: 'HALL END', position: [0, 12, -33], target: [0, 4, -15] },
+        // Approaches to the two side doors
+        { id: 'CAM_02', label: 'DOOR_L', position: [-24, 12, -14], target: [-17, 4, -2] },
+        { id: 'CAM_03', label: 'DOOR_R', position: [24, 12, -14], target: [17, 4, -2] },
+        // Outside the office window
+        { id: 'CAM_04', label: 'CORRIDOR', position: [0, 11, -24], target: [0, 6, -15] }
+    ]
+};
+
+const feedVertexShader = `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0); // Full-screen quad, already in clip space
+    }
+`;
+
+const feedFragmentShader = `
+    uniform sampler2D uFeed;
+    uniform float uTime;
+    uniform float uStatic;   // 0..1 snow amount
+    uniform float uGlitch;   // 0..1 horizontal tearing
+    varying vec2 vUv;
+
+    float hash(vec2 p) {
+        return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+    }
+
+    void main() {
+        vec2 uv = vUv;
+
+        // Horizontal tearing in bands while the signal is disturbed
+        float band = floor(uv.y * 24.0 + uTime * 7.0);
+        uv.x += (hash(vec2(band, floor(uTime * 20.0))) - 0.5) * 0.08 * uGlitch;
+
+        vec3 color = texture2D(uFeed, uv).rgb;
+
+        // Amplified monochrome night camera
+        float luma = dot(color, vec3(0.299, 0.587, 0.114)) * 2.5;
+        vec3 tinted = vec3(luma * 0.85, luma, luma * 0.8);
+
+        // Snow
+        float snow = hash(vUv * vec2(640.0, 480.0) + uTime * 60.0);
+        tinted = mix(tinted, vec3(snow), uStatic);
+
+        // Rolling scan bar
+        tinted *= 0.9 + 0.1 * sin((vUv.y + uTime * 0.3) * 40.0);
+
+        gl_FragColor = vec4(tinted, 1.0);
+    }
+`;
+
+// Security monitor: several fixed cameras rendered to a render target and shown full screen.
+export class CCTVSystem {
+    constructor() {
+        this.isActive = false;
+        this.activeIndex = 0;
+        this.staticLevel = 0;
+
+        this.cameras = CONFIG.cameras.map(def => {
+            const cam = new THREE.PerspectiveCamera(
+                CONFIG.fov, CONFIG.resolution.width / CONFIG.resolution.height, 0.1, 100
+            );
+            cam.position.set(...def.position);
+            cam.lookAt(new THREE.Vector3(...def.target));
+            return { id: def.id, label: def.label, camera: cam };
+        });
+
+        this.renderTarget = new THREE.WebGLRenderTarget(CONFIG.resolution.width, CONFIG.resolution.height);
+
+        // Full-screen display quad
+        this.displayMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                uFeed: { value: this.renderTarget.texture },
+                uTime: { value: 0 },
+                uStatic: { value: 0 },
+                uGlitch: { value: 0 }
+            },
+            vertexShader: feedVertexShader,
+            fragmentShader: feedFragmentShader,
+            depthTest: false,
+            depthWrite: false
+        });
+        this.displayScene = new THREE.Scene();
+        this.displayScene.add(new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.displayMaterial));
+        this.displayCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+        // Header label shows the active camera while the monitor is up
+        this.labelEl = document.getElementById('cam-label');
+        this.defaultLabel = this.labelEl ? this.labelEl.innerText : '';
+    }
+
+    toggle() {
+        this.isActive = !this.isActive;
+        if (this.isActive) this.staticLevel = CONFIG.switchStatic;
+        this.updateLabel();
+        return this.isActive;
+    }
+
+    close() {
+        this.isActive = false;
+        this.updateLabel();
+    }
+
+    switchTo(index) {
+        if (index < 0 || index >= this.cameras.length || index === this.activeIndex) return;
+        this.activeIndex = index;
+        this.staticLevel = CONFIG.switchStatic;
+        this.updateLabel();
+    }
+
+    updateLabel() {
+        if (!this.labelEl) return;
+        const feed = this.cameras[this.activeIndex];
+        this.labelEl.innerText = this.isActive ? `${feed.id} [${feed.label}]` : this.defaultLabel;
+    }
+
+    // enemyPositions: plain {x, y, z} of every active entity (empty when the ghost is not loaded)
+    update(dt, time, enemyPositions) {
+        this.staticLevel = Math.max(0, this.staticLevel - CONFIG.staticDecay * dt);
+
+        // Entities disturb the feed they are close to (the closest one counts)
+        let interference = 0;
+        const camPos = this.cameras[this.activeIndex].camera.position;
+        enemyPositions.forEach(position => {
+            const dist = camPos.distanceTo(new THREE.Vector3(position.x, position.y, position.z));
+            interference = Math.max(interference, THREE.MathUtils.clamp(1 - dist / CONFIG.interferenceRange, 0, 1));
+        });
+
+        // Occasional signal drop-outs while it is close
+        const dropout = interference > 0.3 && random('fx') < interference * 0.1 ? 1.0 : 0.0;
+
+        const uniforms = this.displayMaterial.uniforms;
+        uniforms.uTime.value = time;
+        uniforms.uStatic.value = Math.min(1, CONFIG.baseStatic + this.staticLevel + interference * 0.5 + dropout);
+        uniforms.uGlitch.value = Math.min(1, interference + this.staticLevel * 0.5);
+    }
+
+    render(renderer, scene) {
+        renderer.setRenderTarget(this.renderTarget);
+        renderer.render(scene, this.cameras[this.activeIndex].camera);
+        renderer.setRenderTarget(null);
+        renderer.render(this.displayScene, this.displayCamera);
+    }
+}
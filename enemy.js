@@ -2,43 +2,383 @@ import * as THREE from 'three';
 import { MTLLoader } from 'three/addons/loaders/MTLLoader.js';
 import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
 import { dustVertexShader, dustFragmentShader, getSoftParticleTexture } from './particleShader.js';
+import { DEFAULT_ARCHETYPE_PROFILES, createGhost, resetGhost, stepGhost, isBlockingDoor, isNearDoor, hitByDoor, setNavGraph, getVentThreat } from './ghostSim.js';
+
+// --- config ---
+// Per-archetype look of the shared ghost model
+const ARCHETYPE_LOOKS = {
+    teleporter: { scale: [3.5, 3.5, 3.5], color: [1, 1, 1] },
+    crawler: { scale: [3.5, 1.6, 4.5], color: [0.7, 0.8, 0.6] },   // Flattened, sickly
+    lightEater: { scale: [4.2, 4.2, 4.2], color: [0.25, 0.25, 0.35] }, // Bigger and darker
+    ventCrawler: { scale: [2.8, 1.4, 3.8], color: [0.55, 0.5, 0.45] }  // Low and dusty
+};
+
+// --- Jumpscare config ---
+const JUMPSCARE_CONFIG = {
+    startDistance: 3.0,   // In front of the lens when the lunge starts
+    endDistance: 0.4,     // ... and when it ends
+    scaleGrowth: 1.5,     // Extra scale at the end (times the archetype's scale)
+    flareColor: 0xff2200,
+    flareIntensity: 3.0   // Emissive intensity at the end of the lunge
+};
 
 // --- private variables ---
-let ghostMesh;
+let ghostTemplate; // Loaded model, cloned for every entity
 let particlesMesh;
-
-const ghostState = {
-    phase: 'wander',     // wander, approach, stalk, attack, retreat
-    targetX: 0,
-    speed: 5.0,
-    timer: 0,
-    attackSide: 'none',  // left, right
-    wanderTimer: 0,
-    
-    // --- New state variables ---
-    rngCheckTimer: 0,    // Used to perform a check at intervals when the flashlight is off
-    stalkTimer: 0,       // Records the total time spent standing at the door (3.5s limit)
-    exposureTimer: 0     // Records the duration of continuous flashlight exposure (2s target)
+let killer = null; // Entity that caught the player (stars in the death sequence)
+let windowCrackPending = false; // The front window was cracked, until main.js takes it (see takeWindowCrack)
+const jumpscareDirection = new THREE.Vector3();
+
+// Active AI profile per archetype (see DEFAULT_ARCHETYPE_PROFILES in ghostSim.js)
+const aiProfiles = {};
+Object.keys(DEFAULT_ARCHETYPE_PROFILES).forEach(archetype => {
+    aiProfiles[archetype] = { ...DEFAULT_ARCHETYPE_PROFILES[archetype] };
+});
+
+// Aggression multiplier (1.0 = 00:00). main.js steps it up on every in-game hour.
+let aggression = 1.0;
+
+const viewDirection = new THREE.Vector3();
+
+// Flashlight exposure measurement (ExposureSystem from exposure.js), set by main.js
+let exposureSystem = null;
+
+// --- Adaptive memory config ---
+const MEMORY_CONFIG = {
+    closedThreshold: 0.9, // Door closure above which the door counts as closed
+    aimThreshold: 0.5,    // |viewDirection.x| above which the flashlight counts as aimed at one side
+    priorTime: 10,        // Seconds of neutral observation every habit starts with (learning ramps in)
+    priorReaction: 2.0,   // Neutral stalk reaction time, counted priorReactions times
+    priorReactions: 2,
+    missedReaction: 4.0,  // Reaction time recorded for a stalk that ended in an attack
+    habits: { closed: 0.4, aimed: 0.35, reaction: 0.25 }, // Share of each habit in the neglect score
+    learningStrength: 0.8 // Door weight range: 1 - strength (well guarded) .. 1 + strength (neglected)
 };
 
+// What the entities learn about the player during one night: which door gets closed, where the
+// flashlight points and how quickly each door's stalks are answered. The result is a weight per
+// door (1 = no preference) that ghostSim.js uses to pick the next door to attack.
+class GhostMemory {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.closedTime = { left: 0, right: 0 };     // Seconds each door was closed
+        this.aimTime = { left: 0, right: 0 };        // Seconds the beam pointed to each side
+        this.reactionTotal = { left: 0, right: 0 };  // Summed stalk reaction times
+        this.reactionCount = { left: 0, right: 0 };
+        this.stalkStart = { left: null, right: null }; // Clock time of the running stalk per door
+        this.clock = 0;
+
+        this.neglect = { left: 0.5, right: 0.5 }; // 0 = closely guarded .. 1 = ignored
+        this.weights = { left: 1, right: 1 };
+    }
+
+    // input: the simulation input of this frame (door closures, flashlight, view direction)
+    observe(dt, input) {
+        this.clock += dt;
+
+        if (input.leftClosure > MEMORY_CONFIG.closedThreshold) this.closedTime.left += dt;
+        if (input.rightClosure > MEMORY_CONFIG.closedThreshold) this.closedTime.right += dt;
+
+        if (input.flashlightOn) {
+            if (input.viewDirection.x < -MEMORY_CONFIG.aimThreshold) this.aimTime.left += dt;
+            else if (input.viewDirection.x > MEMORY_CONFIG.aimThreshold) this.aimTime.right += dt;
+        }
+
+        this.updateWeights();
+    }
+
+    // Teleporter stalks at a door: timed from the teleport to the banishing (or the attack, if it never came).
+    // Other archetypes walk up to the doors and say nothing about the player's reaction.
+    onEvent(event, archetype) {
+        if (archetype !== 'teleporter') return;
+        if (event.side !== 'left' && event.side !== 'right') return;
+
+        switch (event.type) {
+            case 'teleport':
+                this.stalkStart[event.side] = this.clock;
+                break;
+            case 'banished':
+                if (this.stalkStart[event.side] === null) break;
+                this.recordReaction(event.side, this.clock - this.stalkStart[event.side]);
+                break;
+            case 'attack':
+                if (this.stalkStart[event.side] === null) break;
+                this.recordReaction(event.side, MEMORY_CONFIG.missedReaction);
+                break;
+            case 'repelled':
+                this.endStalk(event.side);
+                break;
+        }
+    }
+
+    // The stalk ended without a reaction to time (e.g. the door hit the ghost)
+    endStalk(side) {
+        if (side === 'left' || side === 'right') this.stalkStart[side] = null;
+    }
+
+    recordReaction(side, seconds) {
+        this.reactionTotal[side] += seconds;
+        this.reactionCount[side] += 1;
+        this.stalkStart[side] = null;
+    }
+
+    getAverageReaction(side) {
+        return (this.reactionTotal[side] + MEMORY_CONFIG.priorReaction * MEMORY_CONFIG.priorReactions)
+            / (this.reactionCount[side] + MEMORY_CONFIG.priorReactions);
+    }
+
+    updateWeights() {
+        const prior = MEMORY_CONFIG.priorTime;
+        // Share of a habit that went to the given side, 0.5 while nothing has been observed
+        const share = (values, side) => (values[side] + prior) / (values.left + values.right + 2 * prior);
+
+        const reactions = { left: this.getAverageReaction('left'), right: this.getAverageReaction('right') };
+        const habits = MEMORY_CONFIG.habits;
+
+        ['left', 'right'].forEach(side => {
+            this.neglect[side] = habits.closed * (1 - share(this.closedTime, side))
+                + habits.aimed * (1 - share(this.aimTime, side))
+                + habits.reaction * (reactions[side] / (reactions.left + reactions.right));
+            this.weights[side] = 1 + MEMORY_CONFIG.learningStrength * (this.neglect[side] - 0.5) * 2;
+        });
+    }
+}
+
+const ghostMemory = new GhostMemory();
+
+// One entity: simulation state (positions, phase, timers) plus its own copy of the model.
+// ghostSim.js owns the behaviour, this class only renders it.
+class Enemy {
+    constructor(archetype) {
+        this.archetype = archetype;
+        this.ghost = createGhost(archetype);
+        this.look = ARCHETYPE_LOOKS[archetype] || ARCHETYPE_LOOKS.teleporter;
+        this.mesh = null;
+    }
+
+    // Clone the model with its own materials, so tints do not bleed between entities
+    createMesh(template, scene) {
+        this.mesh = template.clone();
+        this.mesh.traverse(child => {
+            if (!child.isMesh) return;
+            child.material = child.material.clone();
+            // Resting glow, restored after a jumpscare flare
+            if (child.material.emissive) {
+                child.userData.baseEmissive = child.material.emissive.getHex();
+                child.userData.baseEmissiveIntensity = child.material.emissiveIntensity;
+            }
+        });
+        this.mesh.scale.set(...this.look.scale);
+        scene.add(this.mesh);
+        this.syncMesh();
+    }
+
+    removeMesh(scene) {
+        if (!this.mesh) return;
+        scene.remove(this.mesh);
+        this.mesh.traverse(child => {
+            if (child.isMesh) child.material.dispose();
+        });
+        this.mesh = null;
+    }
+
+    update(dt, input, camera, gameOverCallback) {
+        const events = stepGhost(this.ghost, dt, input, aiProfiles[this.archetype]);
+        events.forEach(event => this.handleEvent(event, gameOverCallback));
+
+        if (!this.mesh) return;
+        this.syncMesh();
+
+        // Billboarding (always face the player)
+        this.mesh.lookAt(camera.position);
+    }
+
+    // Copy the simulated position and tint (times the archetype's base color) onto the mesh
+    // (parts flagged userData.fixedColor, like the fallback ghost's eyes, keep their color)
+    syncMesh() {
+        const { position, tint } = this.ghost;
+        const base = this.look.color;
+        this.mesh.position.set(position.x, position.y, position.z);
+        this.mesh.traverse(c => {
+            if (c.isMesh && !c.userData.fixedColor) c.material.color.setRGB(tint.r * base[0], tint.g * base[1], tint.b * base[2]);
+        });
+    }
+
+    handleEvent(event, gameOverCallback) {
+        ghostMemory.onEvent(event, this.archetype);
+
+        switch (event.type) {
+            case 'approach':
+                console.log(event.lured
+                    ? `${this.archetype} heard a noise, coming to ${describeSide(event.side)}!`
+                    : `${this.archetype} deciding to approach ${describeSide(event.side)}...`);
+                break;
+            case 'teleport':
+                console.log(`Ghost TELEPORTING to ${describeSide(event.side)}!`);
+                break;
+            case 'teleportBlocked':
+                console.log("Ghost wanted to teleport, but doors are closed.");
+                break;
+            case 'banished':
+                console.log(`${this.archetype} banished by light!`);
+                break;
+            case 'lurk':
+                console.log(`${this.archetype} lurking at ${describeSide(event.side)}...`);
+                break;
+            case 'crack':
+                console.log(`${this.archetype} cracked the window!`);
+                windowCrackPending = true;
+                break;
+            case 'attack':
+                console.log(`${this.archetype} is attacking!`);
+                break;
+            case 'caught':
+                if (!killer) killer = this;
+                if (typeof gameOverCallback === 'function') gameOverCallback({ archetype: this.archetype, side: event.side });
+                break;
+        }
+    }
+
+    reset() {
+        resetGhost(this.ghost);
+        if (!this.mesh) return;
+        this.restoreLook();
+        this.syncMesh();
+    }
+
+    // Undo the jumpscare: normal scale and glow
+    restoreLook() {
+        this.mesh.scale.set(...this.look.scale);
+        this.mesh.traverse(child => {
+            if (!child.isMesh || child.userData.baseEmissive === undefined) return;
+            child.material.emissive.setHex(child.userData.baseEmissive);
+            child.material.emissiveIntensity = child.userData.baseEmissiveIntensity;
+        });
+    }
+
+    // Death sequence: rush the lens (progress 0..1), growing and flaring up
+    updateJumpscare(camera, progress) {
+        const config = JUMPSCARE_CONFIG;
+        const lunge = progress * progress; // Slow start, violent finish
+
+        camera.getWorldDirection(jumpscareDirection);
+        const distance = THREE.MathUtils.lerp(config.startDistance, config.endDistance, lunge);
+        this.mesh.position.copy(camera.position).addScaledVector(jumpscareDirection, distance);
+        this.mesh.scale.set(...this.look.scale).multiplyScalar(1 + config.scaleGrowth * lunge);
+        this.mesh.lookAt(camera.position);
+
+        this.mesh.traverse(child => {
+            if (!child.isMesh || child.userData.baseEmissive === undefined) return;
+            child.material.emissive.setHex(config.flareColor);
+            child.material.emissiveIntensity = config.flareIntensity * progress;
+        });
+    }
+
+    isBlockingDoor(side) {
+        return isBlockingDoor(this.ghost, side);
+    }
+
+    isAtDoor(side) {
+        return isNearDoor(this.ghost, side);
+    }
+
+    hitByDoor() {
+        console.log(`${this.archetype} hit by door! Retreating temporarily...`);
+
+        // Entity receives physical hit, forced to retreat and instantly turns red, simulating injury/anger
+        if (this.archetype === 'teleporter') ghostMemory.endStalk(this.ghost.attackSide);
+        hitByDoor(this.ghost);
+    }
+}
+
+// All entities active during the night
+class EnemyManager {
+    constructor() {
+        this.enemies = [];
+        this.scene = null;
+    }
+
+    // Replace the active entities, e.g. ['teleporter', 'crawler']
+    spawn(archetypes) {
+        this.enemies.forEach(enemy => enemy.removeMesh(this.scene));
+        this.enemies = archetypes.map(archetype => {
+            if (!(archetype in DEFAULT_ARCHETYPE_PROFILES)) console.warn(`Unknown enemy archetype: ${archetype}`);
+            return new Enemy(archetype);
+        });
+        if (ghostTemplate) this.createMeshes();
+    }
+
+    createMeshes() {
+        this.enemies.forEach(enemy => {
+            if (!enemy.mesh) enemy.createMesh(ghostTemplate, this.scene);
+        });
+    }
+
+    update(dt, input, camera, gameOverCallback) {
+        this.enemies.forEach(enemy => enemy.update(dt, input, camera, gameOverCallback));
+    }
+
+    reset() {
+        this.enemies.forEach(enemy => enemy.reset());
+    }
+
+    // The most threatening entity (closest to the office); audio and screen effects follow this one.
+    // The vent crawler above the ceiling has its own warnings (see getGhostVentThreat) until it drops in.
+    getLead() {
+        let lead = null;
+        this.enemies.forEach(enemy => {
+            if (enemy.archetype === 'ventCrawler' && enemy.ghost.phase !== 'attack') return;
+            if (!lead || enemy.ghost.position.z > lead.ghost.position.z) lead = enemy;
+        });
+        return lead;
+    }
+
+    // Entity blocking the given door, if any
+    findBlocking(side) {
+        return this.enemies.find(enemy => enemy.isBlockingDoor(side)) || null;
+    }
+
+    isAnyAtDoor(side) {
+        return this.enemies.some(enemy => enemy.isAtDoor(side));
+    }
+}
+
+const enemyManager = new EnemyManager();
+
 // 1. Initialization
-export function initEnemy(scene) {
-    const textureLoader = new THREE.TextureLoader();
+// profile: optional AI profile object or URL of a profile JSON
+// manager: optional THREE.LoadingManager the model loads through (see assetLoader.js)
+export function initEnemy(scene, profile, manager) {
+    enemyManager.scene = scene;
+    if (profile) setEnemyProfile(profile);
+    if (enemyManager.enemies.length === 0) enemyManager.spawn(['teleporter']);
+
+    const textureLoader = new THREE.TextureLoader(manager);
     const specificTexture = textureLoader.load('./assets/models/ghost.png');
     specificTexture.colorSpace = THREE.SRGBColorSpace;
 
-    const mtlLoader = new MTLLoader();
+    // Without the model the entities would stay invisible (and updateEnemy idle), so a failed
+    // load falls back to a procedural ghost
+    const useFallback = error => {
+        console.error('Error loading model, using the procedural ghost:', error);
+        if (ghostTemplate) return;
+        ghostTemplate = createFallbackGhost();
+        enemyManager.createMeshes();
+    };
+
+    const mtlLoader = new MTLLoader(manager);
     mtlLoader.load('./assets/models/ghost.mtl', function (materials) {
         materials.preload();
-        const objLoader = new OBJLoader();
+        const objLoader = new OBJLoader(manager);
         objLoader.setMaterials(materials);
         
         objLoader.load('./assets/models/ghost.obj', function (object) {
-            ghostMesh = object;
-            ghostMesh.scale.set(3.5, 3.5, 3.5); 
-            ghostMesh.position.set(0, 5, -20); 
+            ghostTemplate = object;
 
-            ghostMesh.traverse(function (child) {
+            ghostTemplate.traverse(function (child) {
                 if (child.isMesh) {
                     child.material.map = specificTexture;
                     child.material.transparent = false; 
@@ -51,20 +391,23 @@ export function initEnemy(scene) {
                 }
             });
 
-            scene.add(ghostMesh);
+            enemyManager.createMeshes();
             console.log("Ghost Model Loaded!");
 
-        }, undefined, function (error) {
-            console.error('Error loading model:', error);
-        });
-    });
+        }, undefined, useFallback);
+    }, undefined, useFallback);
 
     createAtmosphereParticles(scene);
 }
 
+// Replace the active entities, e.g. ['teleporter', 'crawler'] (called by main.js when a night starts)
+export function spawnEnemies(archetypes) {
+    enemyManager.spawn(archetypes);
+}
+
 // 2. Update Logic
 export function updateEnemy(dt, camera, flashLight, gameState, gameOverCallback) {
-    if (!ghostMesh) return;
+    if (!ghostTemplate) return;
 
     // --- Particle effects update ---
     if (particlesMesh) {
@@ -85,289 +428,196 @@ export function updateEnemy(dt, camera, flashLight, gameState, gameOverCallback)
             dt * 10
         );
     }
-    
-    // Billboarding (always face the player)
-    ghostMesh.lookAt(camera.position); 
 
-    // General up-and-down floating (when not stalking or attacking)
-    if (ghostState.phase !== 'attack' && ghostState.phase !== 'stalk') {
-        const time = Date.now() * 0.001;
-        ghostMesh.position.y = 4 + Math.sin(time * 2) * 0.5;
+    // --- Step the simulation ---
+    camera.getWorldDirection(viewDirection);
+    const input = {
+        playerPosition: camera.position,
+        viewDirection: viewDirection,
+        flashlightOn: gameState.flashlightOn,
+        flashlightFailing: gameState.flashlightFailing,
+        flashBurst: gameState.flashBurst,
+        noise: gameState.noise,
+        noiseSpike: gameState.noiseSpike,
+        leftClosure: gameState.leftClosure,
+        rightClosure: gameState.rightClosure,
+        windowCracked: gameState.windowCracked,
+        ventShut: gameState.ventShut,
+        aggression: aggression,
+        lightExposure: exposureSystem ? exposureSystem.measure : null,
+        doorWeights: ghostMemory.weights
+    };
+    ghostMemory.observe(dt, input);
+    enemyManager.update(dt, input, camera, gameOverCallback);
+}
+
+// Reset function
+export function resetEnemy() {
+    console.log("Resetting Enemy...");
+    killer = null;
+    windowCrackPending = false;
+    enemyManager.reset();
+    ghostMemory.reset();
+}
+
+// Swap the AI profile of an archetype at runtime.
+// Accepts a (partial) profile object, or a URL to a JSON profile (returns a Promise in that case).
+export function setEnemyProfile(profile, archetype = 'teleporter') {
+    if (typeof profile === 'string') {
+        return fetch(profile)
+            .then(response => response.json())
+            .then(data => setEnemyProfile(data, archetype))
+            .catch(error => console.error('Error loading AI profile:', error));
     }
 
-    switch(ghostState.phase) {
-        case 'wander':
-            handleWanderPhase(dt, gameState);
-            break;
+    const defaults = DEFAULT_ARCHETYPE_PROFILES[archetype];
+    if (!defaults) {
+        console.warn(`Unknown enemy archetype: ${archetype}`);
+        return;
+    }
 
-        case 'approach':
-            handleApproachPhase(dt, gameState);
-            break;
+    Object.keys(profile).forEach(key => {
+        if (!(key in defaults)) console.warn(`Unknown AI profile key for ${archetype}: ${key}`);
+    });
 
-        case 'stalk':
-            // New: Logic for stalking at the door
-            handleStalkPhase(dt, camera, gameState, gameOverCallback);
-            break;
+    // Start from the defaults so swapping profiles never leaks values from the previous one
+    const target = aiProfiles[archetype];
+    Object.keys(target).forEach(key => delete target[key]);
+    Object.assign(target, defaults, profile);
+}
 
-        case 'attack':
-            handleAttackPhase(dt, camera, gameOverCallback);
-            break;
+// Measure flashlight exposure with the given ExposureSystem instead of the simple view-cone check
+export function setEnemyExposure(system) {
+    exposureSystem = system;
+}
 
-        case 'retreat':
-            handleRetreatPhase(dt);
-            break;
-    }
+// Navigation graph of the level (see navGraph.js), built by main.js alongside the geometry
+export function setEnemyNavGraph(graph) {
+    setNavGraph(graph);
 }
 
-// --- State Handling Functions ---
+// What the entities have learned about the player this night (for the debug view):
+// { weights, neglect, closedTime, aimTime, reactions } per door
+export function getGhostMemory() {
+    return {
+        weights: { ...ghostMemory.weights },
+        neglect: { ...ghostMemory.neglect },
+        closedTime: { ...ghostMemory.closedTime },
+        aimTime: { ...ghostMemory.aimTime },
+        reactions: { left: ghostMemory.getAverageReaction('left'), right: ghostMemory.getAverageReaction('right') }
+    };
+}
 
-function handleWanderPhase(dt, gameState) {
-    // Base position setting
-    ghostMesh.position.z = -20;
+// Set the aggression multiplier (called by main.js on in-game hour boundaries)
+export function setEnemyAggression(level) {
+    aggression = level;
+}
 
-    // 1. Check flashlight status
-    if (gameState.flashlightOn) {
-        // [Flashlight On]: Existing logic, slow wandering
-        ghostState.wanderTimer += dt * 0.5;
-        ghostMesh.position.x = Math.sin(ghostState.wanderTimer) * 8;
-        
-        // Only trigger normal attack at the edges (Keep existing logic)
-        if (Math.random() < 0.005 && Math.abs(ghostMesh.position.x) > 6) {
-             triggerNormalAttack(gameState);
-        }
-    } else {
-        // [Flashlight Off]: New logic
-        // Still wandering, but perform a check at intervals
-        ghostState.wanderTimer += dt * 0.5;
-        ghostMesh.position.x = Math.sin(ghostState.wanderTimer) * 8;
-        
-        ghostState.rngCheckTimer += dt;
-        
-        // Perform a teleport probability check every 1.5 seconds
-        if (ghostState.rngCheckTimer > 1.5) {
-            ghostState.rngCheckTimer = 0;
-            
-            // 50% chance to maintain current state, 50% chance to trigger teleport logic
-            if (Math.random() < 0.5) {
-                // Try to find open doors
-                const availableDoors = [];
-                if (gameState.leftOpen) availableDoors.push('left');
-                if (gameState.rightOpen) availableDoors.push('right');
-                
-                // Only teleport if there are open doors
-                if (availableDoors.length > 0) {
-                    // Randomly select one of the open doors
-                    const chosenSide = availableDoors[Math.floor(Math.random() * availableDoors.length)];
-                    teleportToDoor(chosenSide);
-                } else {
-                    // If all doors are closed, do nothing and continue wandering
-                    console.log("Ghost wanted to teleport, but doors are closed.");
-                }
-            }
-        }
-    }
+// 1. Check if any entity is currently blocking the specified door
+export function isGhostBlockingDoor(side) {
+    return enemyManager.findBlocking(side) !== null;
 }
 
-function triggerNormalAttack(gameState) {
-    console.log("Ghost deciding to approach normally...");
-    ghostState.phase = 'approach';
-    
-    // Intelligent attack direction selection
-    const currentX = ghostMesh.position.x;
-    const leftOpen = gameState.leftOpen;
-    const rightOpen = gameState.rightOpen;
-    
-    if (leftOpen && !rightOpen) ghostState.attackSide = 'left';
-    else if (rightOpen && !leftOpen) ghostState.attackSide = 'right';
-    else if (leftOpen && rightOpen) {
-        const nearSide = currentX < 0 ? 'left' : 'right';
-        ghostState.attackSide = Math.random() < 0.64 ? nearSide : (nearSide === 'left' ? 'right' : 'left');
-    } else {
-        ghostState.attackSide = currentX < 0 ? 'left' : 'right';
-    }
+// Check if any entity is at (or closing in on) the specified door, e.g. to interrupt a repair
+export function isGhostAtDoor(side) {
+    return enemyManager.isAnyAtDoor(side);
 }
 
-function teleportToDoor(side) {
-    console.log(`Ghost TELEPORTING to ${side} door!`);
-    
-    ghostState.phase = 'stalk';
-    ghostState.attackSide = side;
-    ghostState.stalkTimer = 0;     // Reset stalk timer
-    ghostState.exposureTimer = 0;  // Reset exposure timer
-    
-    // Teleport position calculation
-    // The door is roughly at x=±15, z=-1.
-    // We let it stand just a bit outside the door
-    const xPos = side === 'left' ? -18 : 18;
-    
-    // Set position (teleport)
-    ghostMesh.position.set(xPos, 4, -2); // y=4 moderate height, z=-2 right at the door
-    
-    // Restore color (in case it was previously red)
-    ghostMesh.traverse(c => { if(c.isMesh) c.material.color.setHex(0xffffff); });
+// Check if an entity is pressed against the front window (or coming through it)
+export function isGhostAtWindow() {
+    return enemyManager.isAnyAtDoor('window');
 }
 
-function handleStalkPhase(dt, camera, gameState, gameOverCallback) {
-    // 1. Timing: total time ghost has been at the door
-    ghostState.stalkTimer += dt;
-    
-    // 2. Check if irradiated by flashlight
-    let isIrradiated = false;
-    
-    if (gameState.flashlightOn) {
-        // Calculate the angle between player's facing direction and the "player->ghost" vector
-        const toGhost = new THREE.Vector3().subVectors(ghostMesh.position, camera.position).normalize();
-        const camDir = new THREE.Vector3();
-        camera.getWorldDirection(camDir);
-        
-        // Dot product: 1.0 = facing directly, 0 = perpendicular.
-        // Flashlight roughly 20 degrees cone, cos(10 degrees) ≈ 0.98. We relax it to 0.9 (about 25 degrees) for easier detection
-        const dot = camDir.dot(toGhost);
-        
-        if (dot > 0.9) {
-            isIrradiated = true;
-        }
-    }
-    
-    // 3. Irradiation logic handling
-    if (isIrradiated) {
-        ghostState.exposureTimer += dt;
-        
-        // Visual feedback: shaking
-        const shakeIntensity = 0.1;
-        ghostMesh.position.x += (Math.random() - 0.5) * shakeIntensity;
-        ghostMesh.position.y += (Math.random() - 0.5) * shakeIntensity;
-        
-        // Visual feedback: turning red (based on exposureTimer / 2.0 ratio)
-        const ratio = Math.min(ghostState.exposureTimer / 2.0, 1.0);
-        // From white (1,1,1) to red (1,0,0)
-        const g = 1.0 - ratio; 
-        const b = 1.0 - ratio;
-        ghostMesh.traverse(c => { 
-            if(c.isMesh) c.material.color.setRGB(1.0, g, b); 
-        });
+// How close an entity in the ceiling duct is to dropping in, 0..1 (scraping and falling dust)
+export function getGhostVentThreat() {
+    return enemyManager.enemies.reduce((threat, enemy) =>
+        Math.max(threat, getVentThreat(enemy.ghost, aiProfiles[enemy.archetype])), 0);
+}
 
-        // Successful banishment check
-        if (ghostState.exposureTimer >= 2.0) {
-            console.log("Ghost banished by light!");
-            ghostState.phase = 'retreat';
-            // When retreat is triggered, it will move back from z=-2, passing through the door back into darkness
-        }
-    } else {
-        // If the flashlight is moved away, the exposure timer can slowly decay or remain unchanged (here we choose to keep it unchanged, for a harder challenge you can choose to decay)
-        // ghostState.exposureTimer = Math.max(0, ghostState.exposureTimer - dt * 0.5);
-    }
-    
-    // 4. Attack determination (time exhausted)
-    // If total time exceeds 4.0 seconds and exposure time is less than 2 seconds
-    if (ghostState.stalkTimer >= 4.0 && ghostState.exposureTimer < 2.0) {
-        console.log("Stalk time over! Attacking!");
-        ghostState.phase = 'attack';
-    }
+// Whether the front window was cracked since the last call (main.js plays the shatter once)
+export function takeWindowCrack() {
+    const cracked = windowCrackPending;
+    windowCrackPending = false;
+    return cracked;
 }
 
-function handleApproachPhase(dt, gameState) {
-    // Maintain original logic: slowly walk from corridor to door
-    const targetDoorX = ghostState.attackSide === 'left' ? -18 : 18;
-    const cornerZ = -18;
-    const doorZ = -5;
-
-    if (ghostMesh.position.z < cornerZ) {
-        ghostMesh.position.z += dt * 3;
-        ghostMesh.position.x += (targetDoorX - ghostMesh.position.x) * dt * 2;
-    } else if (ghostMesh.position.z < doorZ) {
-        ghostMesh.position.x = targetDoorX;
-        ghostMesh.position.z += dt * 3;
-    } else {
-        const isDoorOpen = ghostState.attackSide === 'left' ? gameState.leftOpen : gameState.rightOpen;
-        if (isDoorOpen) {
-            ghostState.phase = 'attack'; 
-        } else {
-            ghostState.phase = 'retreat'; 
-            ghostMesh.traverse(c => { if(c.isMesh) c.material.color.setHex(0xffaaaa); });
-        }
-    }
+// Simulation phase of the lead entity ('wander', 'approach', 'stalk', 'attack', 'retreat')
+export function getGhostPhase() {
+    const lead = enemyManager.getLead();
+    return lead ? lead.ghost.phase : 'wander';
 }
 
-function handleAttackPhase(dt, camera, gameOverCallback) {
-    ghostMesh.position.lerp(camera.position, dt * 8);
-    const dist = ghostMesh.position.distanceTo(camera.position);
-    if (dist < 0.5) {
-        if(typeof gameOverCallback === 'function') gameOverCallback();
-    }
+// Simulated position of the lead entity (plain {x, y, z}), or null while the model is not loaded
+export function getGhostPosition() {
+    const lead = enemyManager.getLead();
+    return ghostTemplate && lead ? lead.ghost.position : null;
 }
 
-function handleRetreatPhase(dt) {
-    // Retreat speed
-    ghostMesh.position.z -= dt * 10;
-    
-    // Gradually restore color (if it was previously red)
-    ghostMesh.traverse(c => { 
-        if(c.isMesh) {
-            // Simple interpolation back to white
-            const curr = c.material.color;
-            c.material.color.setRGB(
-                curr.r + (1 - curr.r) * 0.1,
-                curr.g + (1 - curr.g) * 0.1,
-                curr.b + (1 - curr.b) * 0.1
-            );
-        }
-    });
+// Positions of all entities (empty while the model is not loaded)
+export function getEnemyPositions() {
+    return ghostTemplate ? enemyManager.enemies.map(enemy => enemy.ghost.position) : [];
+}
 
-    if (ghostMesh.position.z < -25) {
-        // Reset back to Wander
-        ghostState.phase = 'wander';
-        ghostMesh.position.z = -20;
-        
-        // Reset color
-        ghostMesh.traverse(c => { if(c.isMesh) c.material.color.setHex(0xffffff); });
-
-        // Based on which side it disappeared from, reset sine wave position
-        if (ghostState.attackSide === 'left') {
-            ghostMesh.position.x = -8; 
-            ghostState.wanderTimer = -Math.PI / 2; 
-        } else {
-            ghostMesh.position.x = 8;
-            ghostState.wanderTimer = Math.PI / 2;
-        }
-    }
+// Death sequence start: turn the camera to face the entity that caught the player.
+// Returns false if there is nothing to show (no entity or model).
+export function startJumpscare(camera) {
+    if (!killer || !killer.mesh) return false;
+    camera.lookAt(killer.mesh.position);
+    return true;
 }
 
-// Reset function
-export function resetEnemy() {
-    console.log("Resetting Enemy...");
-    ghostState.phase = 'wander';
-    ghostState.stalkTimer = 0;
-    ghostState.exposureTimer = 0;
-    if(ghostMesh) {
-        ghostMesh.position.set(0, 4, -20);
-        ghostMesh.traverse(c => { if(c.isMesh) c.material.color.setHex(0xffffff); });
-    }
+// Death sequence: the killer rushes the lens (progress 0..1)
+export function updateJumpscare(camera, progress) {
+    if (killer && killer.mesh) killer.updateJumpscare(camera, progress);
 }
 
-// 1. Check if the ghost is currently blocking the specified door
-export function isGhostBlockingDoor(side) {
-    // Only counts as blocking if in 'stalk' phase and exactly on that side
-    return ghostState.phase === 'stalk' && ghostState.attackSide === side;
+// 2. Reaction of the entity blocking the given door when the door hits it
+export function onGhostHitByDoor(side) {
+    const enemy = enemyManager.findBlocking(side);
+    if (enemy) enemy.hitByDoor();
 }
 
-// 2. Ghost's reaction when hit by the door
-export function onGhostHitByDoor() {
-    console.log("Ghost hit by door! Retreating temporarily...");
-    
-    // Ghost receives physical hit, forced to retreat
-    ghostState.phase = 'retreat';
-    
-    // Reset timers
-    ghostState.stalkTimer = 0;
-    ghostState.exposureTimer = 0;
-
-    // Visual feedback: ghost instantly turns red, simulating injury/anger
-    if (ghostMesh) {
-        ghostMesh.traverse(c => { 
-            if(c.isMesh) c.material.color.setHex(0x550000); 
-        });
-    }
+// Where an event happened, for the log
+function describeSide(side) {
+    if (side === 'window') return "the window";
+    if (side === 'vent') return "the ceiling vent";
+    return `the ${side} door`;
+}
+
+// Stand-in for the ghost model: a hooded sheet (lathe profile, open at the hem) with two dark
+// eye holes on its +z side, which the billboarding turns towards the player.
+// Unit size around the origin, like the model; ARCHETYPE_LOOKS scales it.
+function createFallbackGhost() {
+    const group = new THREE.Group();
+
+    const profile = [
+        [0.0, 0.55], [0.2, 0.5], [0.32, 0.36], [0.36, 0.15],
+        [0.38, -0.1], [0.42, -0.4], [0.5, -0.7]
+    ].map(([radius, y]) => new THREE.Vector2(radius, y));
+
+    const sheet = new THREE.Mesh(
+        new THREE.LatheGeometry(profile, 24),
+        new THREE.MeshStandardMaterial({
+            color: 0xffffff,
+            roughness: 0.9,
+            side: THREE.DoubleSide,
+            emissive: new THREE.Color(0x003311),
+            emissiveIntensity: 0.3
+        })
+    );
+    sheet.castShadow = true;
+    group.add(sheet);
+
+    const eyeMaterial = new THREE.MeshBasicMaterial({ color: 0x111111 });
+    [-0.11, 0.11].forEach(x => {
+        const eye = new THREE.Mesh(new THREE.SphereGeometry(0.05, 12, 8), eyeMaterial);
+        eye.position.set(x, 0.3, 0.31);
+        eye.scale.z = 0.4;
+        eye.userData.fixedColor = true;
+        group.add(eye);
+    });
+
+    return group;
 }
 
 function createAtmosphereParticles(scene) {
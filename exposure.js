@@ -0,0 +1,87 @@
+import * as THREE from 'three';
+
+// --- config ---
+const CONFIG = {
+    referenceIntensity: 150, // Flashlight intensity that counts as full strength (CONFIG.intensity in flashlight.js)
+    fullStrengthRange: 20,   // Up to this distance the beam hits at full strength
+    maxRange: 50,            // Beyond this (or flashLight.distance, whichever is shorter) it does nothing
+    sampleRadius: 1.2,       // Sideways spread of the sample points across the entity's body
+    sampleHeight: 1.0        // Vertical spread of the sample points
+};
+
+// Measures how strongly the flashlight SpotLight hits a point, 0..1:
+// the spotlight's own cone and penumbra, distance falloff, its current intensity,
+// and occlusion by doors and walls (raycast to several points across the body).
+export class ExposureSystem {
+    constructor(spotLight) {
+        this.light = spotLight;
+        this.occluders = [];
+
+        this.raycaster = new THREE.Raycaster();
+        this.lightDir = new THREE.Vector3();
+        this.toPoint = new THREE.Vector3();
+        this.side = new THREE.Vector3();
+        this.sample = new THREE.Vector3();
+        this.target = new THREE.Vector3();
+
+        // Bound once, handed to the simulation as input.lightExposure
+        this.measure = this.measure.bind(this);
+    }
+
+    // Objects that block the beam (door groups, walls). Children are tested too.
+    setOccluders(objects) {
+        this.occluders = objects;
+    }
+
+    // position: plain {x, y, z} of the entity
+    measure(position) {
+        const light = this.light;
+        const intensity = Math.min(light.intensity / CONFIG.referenceIntensity, 1);
+        if (intensity <= 0) return 0;
+
+        this.target.set(position.x, position.y, position.z);
+        this.lightDir.subVectors(light.target.position, light.position).normalize();
+
+        // Distance falloff
+        const distance = light.position.distanceTo(this.target);
+        const range = light.distance > 0 ? Math.min(light.distance, CONFIG.maxRange) : CONFIG.maxRange;
+        const falloff = 1 - THREE.MathUtils.clamp(
+            (distance - CONFIG.fullStrengthRange) / (range - CONFIG.fullStrengthRange), 0, 1
+        );
+        if (falloff <= 0) return 0;
+
+        // Sample points: centre, left/right (across the beam) and top/bottom of the body
+        this.side.crossVectors(this.lightDir, THREE.Object3D.DEFAULT_UP);
+        if (this.side.lengthSq() < 1e-6) this.side.set(1, 0, 0);
+        this.side.normalize().multiplyScalar(CONFIG.sampleRadius);
+
+        const offsets = [[0, 0], [1, 0], [-1, 0], [0, 1], [0, -1]];
+        let cone = 0;
+        offsets.forEach(([across, up]) => {
+            this.sample.copy(this.target).addScaledVector(this.side, across);
+            this.sample.y += up * CONFIG.sampleHeight;
+            cone += this.sampleCone(this.sample) * (this.isOccluded(this.sample) ? 0 : 1);
+        });
+
+        return (cone / offsets.length) * falloff * intensity;
+    }
+
+    // Spotlight cone with its penumbra, the same smooth edge three.js lights it with
+    sampleCone(point) {
+        this.toPoint.subVectors(point, this.light.position).normalize();
+        const cosTheta = this.toPoint.dot(this.lightDir);
+        const cosOuter = Math.cos(this.light.angle);
+        const cosInner = Math.cos(this.light.angle * (1 - this.light.penumbra));
+        return THREE.MathUtils.smoothstep(cosTheta, cosOuter, cosInner);
+    }
+
+    isOccluded(point) {
+        if (this.occluders.length === 0) return false;
+
+        this.toPoint.subVectors(point, this.light.position);
+        const distance = this.toPoint.length();
+        this.raycaster.set(this.light.position, this.toPoint.divideScalar(distance));
+        this.raycaster.far = distance;
+        return this.raycaster.intersectObjects(this.occluders, true).length > 0;
+    }
+}
@@ -1,15 +1,33 @@
 import * as THREE from 'three';
+import { random } from './rng.js';
 
 // --- config ---
 const CONFIG = {
     maxBattery: 6,
     drainRate: 3.0,     // On: consume one unit every 3 seconds
     rechargeDelay: 5.0, // Depleted: wait 5 seconds before restarting
-    passiveRechargeSpeed: 0.5, // Off: automatically recharge 0.5 units per second (i.e., one unit every 2 seconds)
+    passiveRechargeSpeed: 0.5, // Off: automatically recharge 0.5 units per second (i.e., one unit every 2 seconds), paid from facility power
+    intensity: 150,     // Normal beam (ExposureSystem counts this as full strength)
+    // Hold the button to charge, release for a blinding flash
+    overcharge: {
+        holdTime: 1.2,   // Seconds of holding for a full charge
+        cost: 3,         // Battery units the flash burns
+        intensity: 900,  // Peak beam intensity, fading back over flashTime
+        flashTime: 0.35
+    },
+    // At or below this much battery the beam fails: dimmed, stuttering and cutting out
+    lowBattery: {
+        threshold: 1.0,
+        dim: 0.45,            // Intensity multiplier
+        stutter: 0.35,        // Random frame-to-frame intensity drop
+        cutoutChance: 0.8,    // Chance per second that the beam cuts out
+        cutoutTime: [0.15, 0.6] // Seconds, min / max
+    },
     barColors: {
         active: 0x00ff00,   // Bright fluorescent green
         inactive: 0x002200, // Dark green when off
-        warning: 0xff0000   // Low battery warning red
+        warning: 0xff0000,  // Low battery warning red
+        charge: 0xffffff    // Bars the overcharge will burn
     }
 };
 
@@ -24,6 +42,18 @@ export class FlashlightSystem {
         this.battery = CONFIG.maxBattery;
         this.usageTimer = 0;
         this.rechargeTimer = 0;
+
+        // Overcharge: charging while the button is held, flash after release
+        this.isCharging = false;
+        this.chargeLevel = 0;    // 0..1, full = release fires the flash
+        this.burstTimer = 0;     // Flash time left
+        this.burstPending = false; // Flash not yet reported to the simulation (see takeBurst)
+
+        // Low battery cut-out time left
+        this.cutoutTimer = 0;
+
+        // Facility power that pays for the passive recharge (PowerSystem, optional)
+        this.powerSupply = null;
         
         // Animated parts references
         this.buttonMesh = null;
@@ -152,11 +182,50 @@ export class FlashlightSystem {
 
     pressButton() {
         if (this.buttonMesh) this.buttonMesh.position.x = this.buttonBaseX + 0.005; 
+        this.isCharging = true;
+        this.chargeLevel = 0;
     }
 
+    // A short click toggles the light, releasing a full charge fires the overcharge flash instead
     releaseButton() {
         if (this.buttonMesh) this.buttonMesh.position.x = this.buttonBaseX; 
-        if (!this.isDepleted) this.toggle();
+        const charged = this.isCharging && this.chargeLevel >= 1;
+        this.isCharging = false;
+        this.chargeLevel = 0;
+
+        if (this.isDepleted) return;
+        if (charged) this.overcharge();
+        else this.toggle();
+    }
+
+    // Blinding flash: burns several bars at once, the beam keeps its on/off state afterwards
+    overcharge() {
+        this.battery -= CONFIG.overcharge.cost;
+        this.burstTimer = CONFIG.overcharge.flashTime;
+        this.burstPending = true;
+        if (this.battery <= 0) {
+            this.battery = 0;
+            this.triggerDepletion();
+        }
+        this.updateBeam(0);
+        this.updateDisplay();
+    }
+
+    // True once per flash (main.js hands it to the ghost simulation as instant exposure)
+    takeBurst() {
+        const burst = this.burstPending;
+        this.burstPending = false;
+        return burst;
+    }
+
+    // The beam is actually shining (false while a failing battery cuts it out)
+    get isBeamOn() {
+        return this.lightSource.intensity > 0;
+    }
+
+    // On, but at the low-battery threshold: dimmed and stuttering
+    get isFailing() {
+        return this.isOn && this.battery <= CONFIG.lowBattery.threshold;
     }
 
     toggle() {
@@ -172,10 +241,8 @@ export class FlashlightSystem {
             this.consumeBatteryStep();
             this.usageTimer = 0;
             
-            this.lightSource.intensity = 150; 
-            this.bulbMat.color.setHex(0xffffff);
-            this.bulbMat.emissive.setHex(0xffffff);
-            this.bulbMat.emissiveIntensity = 2.0;
+            this.cutoutTimer = 0;
+            this.setBeam(CONFIG.intensity);
         } else {
             this.turnOffVisuals();
         }
@@ -183,9 +250,53 @@ export class FlashlightSystem {
     }
     
     turnOffVisuals() {
-        this.lightSource.intensity = 0;
-        this.bulbMat.color.setHex(0x111111);
-        this.bulbMat.emissiveIntensity = 0;
+        this.setBeam(0);
+    }
+
+    // Beam intensity and the bulb glow that goes with it
+    setBeam(intensity) {
+        this.lightSource.intensity = intensity;
+        if (intensity > 0) {
+            this.bulbMat.color.setHex(0xffffff);
+            this.bulbMat.emissive.setHex(0xffffff);
+            this.bulbMat.emissiveIntensity = 2.0 * intensity / CONFIG.intensity;
+        } else {
+            this.bulbMat.color.setHex(0x111111);
+            this.bulbMat.emissiveIntensity = 0;
+        }
+    }
+
+    // Per-frame beam: overcharge flash, failing battery, or the steady light
+    updateBeam(dt) {
+        if (this.burstTimer > 0) {
+            const fade = Math.max(this.burstTimer, 0) / CONFIG.overcharge.flashTime;
+            const rest = this.isOn ? CONFIG.intensity : 0;
+            this.setBeam(THREE.MathUtils.lerp(rest, CONFIG.overcharge.intensity, fade));
+            this.burstTimer -= dt;
+            return;
+        }
+
+        if (!this.isOn) {
+            this.setBeam(0);
+            return;
+        }
+
+        if (!this.isFailing) {
+            this.setBeam(CONFIG.intensity);
+            return;
+        }
+
+        // Failing battery: random cut-outs, otherwise a dim, stuttering beam
+        const low = CONFIG.lowBattery;
+        if (this.cutoutTimer > 0) {
+            this.cutoutTimer -= dt;
+            this.setBeam(0);
+        } else if (random('flicker') < low.cutoutChance * dt) {
+            this.cutoutTimer = THREE.MathUtils.lerp(low.cutoutTime[0], low.cutoutTime[1], random('flicker'));
+            this.setBeam(0);
+        } else {
+            this.setBeam(CONFIG.intensity * low.dim * (1 - low.stutter * random('flicker')));
+        }
     }
 
     consumeBatteryStep() {
@@ -202,7 +313,26 @@ export class FlashlightSystem {
         this.turnOffVisuals();
     }
 
-    update(dt) {
+    // New night: full battery, light off, no charge, flash or cut-out in progress
+    reset() {
+        this.isOn = false;
+        this.isDepleted = false;
+        this.battery = CONFIG.maxBattery;
+        this.usageTimer = 0;
+        this.rechargeTimer = 0;
+        this.isCharging = false;
+        this.chargeLevel = 0;
+        this.burstTimer = 0;
+        this.burstPending = false;
+        this.cutoutTimer = 0;
+        if (this.buttonMesh) this.buttonMesh.position.x = this.buttonBaseX;
+        this.turnOffVisuals();
+        this.updateDisplay();
+    }
+
+    // isRunning: false while the night is paused or over. The battery neither drains nor recharges then:
+    // the recharge is paid from facility power, which must not be drawn outside the played night.
+    update(dt, isRunning = true) {
         // 1. Forced depletion check
         if (this.isDepleted) {
             this.isOn = false;
@@ -220,8 +350,15 @@ export class FlashlightSystem {
             this.lightSource.target.position.copy(targetPos);
         }
 
+        // Overcharge builds while the button is held (only with enough battery to pay for it)
+        if (isRunning && this.isCharging && !this.isDepleted && this.battery >= CONFIG.overcharge.cost) {
+            this.chargeLevel = Math.min(1, this.chargeLevel + dt / CONFIG.overcharge.holdTime);
+        }
+
         // 3. Logic Branch
-        if (this.isDepleted) {
+        if (!isRunning) {
+            // Paused: keep the model in sync but freeze the battery (and its power draw)
+        } else if (this.isDepleted) {
             // A. Depleted: wait for recharge
             this.rechargeTimer += dt;
             if (this.rechargeTimer >= CONFIG.rechargeDelay) {
@@ -243,16 +380,23 @@ export class FlashlightSystem {
             // C. [New] Off and not depleted: slow recharge
             // Only recharge when battery is not full
             if (this.battery < CONFIG.maxBattery) {
-                this.battery += CONFIG.passiveRechargeSpeed * dt;
+                let amount = CONFIG.passiveRechargeSpeed * dt;
+                if (this.powerSupply) amount = this.powerSupply.drawForRecharge(amount);
+                this.battery += amount;
                 if (this.battery > CONFIG.maxBattery) this.battery = CONFIG.maxBattery;
             }
         }
 
+        if (isRunning) this.updateBeam(dt);
         this.updateDisplay();
     }
 
     updateDisplay() {
         const currentBars = Math.ceil(this.battery);
+        const blink = Math.sin(Date.now() * 0.01) > 0;
+
+        // Overcharge: the bars it will burn fill up white while charging and blink once it is ready
+        const chargeBars = Math.ceil(this.chargeLevel * CONFIG.overcharge.cost);
 
         this.batteryBars.forEach((bar, index) => {
             if (index < currentBars) {
@@ -266,9 +410,20 @@ export class FlashlightSystem {
             }
             
             if (this.isDepleted && index === 0) {
-                const flash = Math.sin(Date.now() * 0.01) > 0;
-                bar.material.color.setHex(flash ? 0xff0000 : 0x000000);
+                bar.material.color.setHex(blink ? 0xff0000 : 0x000000);
+            }
+
+            // Failing battery: the last bar goes dark with every cut-out
+            if (this.isFailing && index === 0 && !this.isBeamOn) {
+                bar.material.color.setHex(0x000000);
             }
+
+            if (index < currentBars && index >= currentBars - chargeBars) {
+                if (this.chargeLevel < 1 || blink) bar.material.color.setHex(CONFIG.barColors.charge);
+            }
+
+            // Flash: every bar blazes
+            if (this.burstTimer > 0) bar.material.color.setHex(CONFIG.barColors.charge);
         });
     }
 }
\ No newline at end of file
@@ -0,0 +1,746 @@
+// --- Ghost simulation core ---
+// Renderer-independent entity state machines (wander -> approach/stalk -> attack/retreat).
+// Archetypes: 'teleporter' (the original ghost), 'crawler', 'lightEater' and 'ventCrawler'.
+// Works on plain position/state data only: no THREE, no DOM, no loaded models.
+// Movement follows the level's waypoint graph (navGraph.js), handed in via setNavGraph() before ghosts are created.
+// enemy.js feeds it the player's view and door/flashlight state and syncs the mesh to the result;
+// tools/simulateNights.js runs it headless in Node for balancing.
+import { random } from './rng.js';
+import { getNode, nearestNode, findPath, pointAlongRoute } from './navGraph.js';
+
+// --- AI profile ---
+// Every behavioural number of the teleporter ghost. enemy.js merges (partial) profiles over these defaults.
+export const DEFAULT_AI_PROFILE = {
+    approachSpeed: 3.0,        // Corridor walking speed during 'approach'
+    rngCheckInterval: 1.5,     // Seconds between teleport checks while the flashlight is off
+    teleportChance: 0.5,       // Chance that a check teleports the ghost to an open door
+    stalkTimeLimit: 4.0,       // Seconds at the door before it attacks
+    windowWeight: 0.4,         // Teleport weight of the front window (an open door weighs 1, see doorWeights)
+    windowTimeLimit: 4.0,      // Seconds pressed against the window before it cracks the pane (or, once cracked, comes in)
+    exposureNeeded: 2.0,       // Seconds of full-strength flashlight needed to banish it
+    burstExposure: 1.6,        // Exposure an overcharge flash adds at once (times its strength on the ghost)
+    noiseSensitivity: 1.5,     // Teleport / normal attack chances are multiplied by 1 + this * noise level
+    normalAttackChance: 0.005, // Per-step chance to start walking to a door while the flashlight is on
+    nearSideBias: 0.64,        // Chance to pick the door on the ghost's side when both are open
+    doorSlipClosure: 0.9       // A swinging door closed less than this (0 open .. 1 closed) can still be slipped through
+};
+
+// Defaults for every archetype (the teleporter uses DEFAULT_AI_PROFILE)
+export const DEFAULT_ARCHETYPE_PROFILES = {
+    teleporter: DEFAULT_AI_PROFILE,
+
+    // Crawls along the corridor floor and only moves in while the player is watching a door
+    crawler: {
+        approachSpeed: 2.0,     // Crawling speed (it freezes whenever no door is watched)
+        rngCheckInterval: 2.0,  // Seconds between approach checks
+        approachChance: 0.4,    // Chance that a check starts an approach while a door is watched
+        watchDot: 0.8,          // dot(view, toDoorway) above which the player counts as watching that door
+        exposureNeeded: 1.0,    // Seconds of flashlight that drive it back
+        burstExposure: 1.0,     // An overcharge flash in full drives it back at once
+        doorSlipClosure: 0.9
+    },
+
+    // Ignores the flashlight (is even drawn to it), but cannot get past a closed door
+    lightEater: {
+        approachSpeed: 2.2,
+        rngCheckInterval: 3.0,
+        approachChance: 0.25,   // Chance that a check starts an approach
+        lightAttraction: 2.5,   // Approach chance multiplier while the flashlight is on
+        nearSideBias: 0.5,
+        lingerTime: 2.5,        // Seconds in the doorway before it comes in (close the door on it!)
+        doorSlipClosure: 0.9
+    },
+
+    // Crawls through the ceiling duct to the grate above the player; only the vent shutter stops it
+    ventCrawler: {
+        approachSpeed: 1.2,     // Crawling speed in the duct (slow, the scraping gives it away)
+        rngCheckInterval: 4.0,
+        approachChance: 0.3,    // Chance that a check sends it towards the grate
+        grateTime: 3.0          // Seconds at the open grate before it drops in
+    }
+};
+
+// Corridor route (nav graph nodes) each archetype patrols back and forth while wandering
+const WANDER_ROUTES = {
+    teleporter: ['hall_left', 'hall_center', 'hall_right'],
+    crawler: ['crawl_left', 'crawl_right'],
+    lightEater: ['hall_back_left', 'hall_back_right'],
+    ventCrawler: ['vent_left', 'vent_right']
+};
+
+// Resting height of each archetype (the others float at 4)
+const ARCHETYPE_HEIGHTS = {
+    crawler: 1,
+    ventCrawler: 16 // Inside the duct above the ceiling
+};
+
+// Grate in the office ceiling where the vent crawler drops in (nav graph node)
+const VENT_NODE = 'vent_grate';
+const VENT_WARN_DISTANCE = 15; // Duct distance from the grate where the warnings start
+
+const RETREAT_SPEED = 10;
+
+// Headless light cone, dot(view, toGhost): the flashlight SpotLight in main.js (angle PI / 10, penumbra 0.2)
+const HEADLESS_CONE_OUTER = 0.951;
+const HEADLESS_CONE_INNER = 0.969;
+
+// Waypoint graph the entities move on
+let navGraph = null;
+
+// Set the navigation graph (main.js hands in the graph built with the level)
+export function setNavGraph(graph) {
+    navGraph = graph;
+}
+
+// Mesh tints (linear RGB, copied onto the ghost materials by enemy.js)
+const TINT_NORMAL = { r: 1.0, g: 1.0, b: 1.0 };
+const TINT_REPELLED = { r: 1.0, g: 0.4, b: 0.4 }; // Walked into a closed door
+const TINT_HURT = { r: 0.09, g: 0.0, b: 0.0 };    // Hit by a closing door
+
+function setTint(ghost, tint) {
+    ghost.tint.r = tint.r;
+    ghost.tint.g = tint.g;
+    ghost.tint.b = tint.b;
+}
+
+export function createGhost(archetype = 'teleporter') {
+    const ghost = {
+        archetype: archetype,
+        phase: 'wander',     // wander, approach, stalk, attack, retreat
+        position: { x: 0, y: 4, z: -20 },
+        tint: { ...TINT_NORMAL },
+        attackSide: 'none',  // left, right
+        time: 0,             // Simulation clock (drives the floating bob)
+        wanderTimer: 0,
+        rngCheckTimer: 0,    // Used to perform a check at intervals when the flashlight is off
+        stalkTimer: 0,       // Total time spent standing at the door (profile.stalkTimeLimit)
+        exposureTimer: 0,    // Duration of flashlight exposure (profile.exposureNeeded)
+        path: [],            // Nav graph nodes still to walk
+        pathGoal: null       // Final node of the planned path
+    };
+    resetGhost(ghost); // Start on its wander route
+    return ghost;
+}
+
+export function resetGhost(ghost) {
+    ghost.phase = 'wander';
+    ghost.stalkTimer = 0;
+    ghost.exposureTimer = 0;
+    ghost.rngCheckTimer = 0;
+    ghost.wanderTimer = 0;
+    ghost.path = [];
+    ghost.pathGoal = null;
+    ghost.position.y = ARCHETYPE_HEIGHTS[ghost.archetype] || 4;
+    if (navGraph) placeOnWanderRoute(ghost);
+    setTint(ghost, TINT_NORMAL);
+}
+
+// --- Navigation ---
+
+// Slow back-and-forth along the archetype's wander route, driven by wanderTimer (sine wave)
+function placeOnWanderRoute(ghost) {
+    pointAlongRoute(navGraph, WANDER_ROUTES[ghost.archetype], (Math.sin(ghost.wanderTimer) + 1) / 2, ghost.position);
+}
+
+// Plan a path along the graph from the nearest node to the goal node
+function planPath(ghost, goal) {
+    ghost.path = findPath(navGraph, nearestNode(navGraph, ghost.position), goal);
+    ghost.pathGoal = goal;
+    if (ghost.path.length === 0) console.warn(`No nav graph path to ${goal}`);
+
+    // Already between the first two nodes (e.g. mid-corridor): head straight for the second one
+    if (ghost.path.length > 1) {
+        const first = getNode(navGraph, ghost.path[0]);
+        const second = getNode(navGraph, ghost.path[1]);
+        const toSecond = Math.hypot(second.x - ghost.position.x, second.z - ghost.position.z);
+        if (toSecond <= Math.hypot(second.x - first.x, second.z - first.z)) ghost.path.shift();
+    }
+}
+
+// Walk towards goal along the graph at the given speed (ground plane, the archetype sets the height).
+// Returns true once the goal is reached.
+function walkTo(ghost, goal, dt, speed) {
+    if (ghost.pathGoal !== goal) planPath(ghost, goal);
+
+    let step = dt * speed;
+    while (ghost.path.length > 0) {
+        const node = getNode(navGraph, ghost.path[0]);
+        const dx = node.x - ghost.position.x;
+        const dz = node.z - ghost.position.z;
+        const distance = Math.hypot(dx, dz);
+        if (distance > step) {
+            ghost.position.x += dx / distance * step;
+            ghost.position.z += dz / distance * step;
+            return false;
+        }
+        ghost.position.x = node.x;
+        ghost.position.z = node.z;
+        step -= distance;
+        ghost.path.shift();
+    }
+
+    ghost.pathGoal = null;
+    return true;
+}
+
+// The teleporter's third way in: pressed against the front window glass (nav graph node)
+const WINDOW_NODE = 'window_glass';
+
+// Advance the ghost by dt seconds.
+// input: {
+//   playerPosition, viewDirection (normalized), // any {x, y, z}, e.g. THREE.Vector3
+//   flashlightOn,                               // the beam is actually shining
+//   flashlightFailing,                          // on, but dimmed / cutting out on a dying battery
+//   flashBurst,                                 // an overcharge flash went off this step
+//   noise, noiseSpike,                          // player noise 0..1, { side } of a loud sound this step
+//   doorWeights                                 // optional { left, right } attack preference (learned in enemy.js), default 1 each
+//   leftClosure, rightClosure,                  // current door angle, 0 = fully open .. 1 = fully closed
+//   windowCracked,                              // the teleporter already cracked the front window once
+//   ventShut,                                   // the ceiling vent shutter is closed
+//   aggression                                  // multiplier, 1.0 = 00:00
+// }
+// Returns the events of this step, e.g. { type: 'teleport', side: 'left' } or { type: 'caught' }.
+// side is 'left' / 'right' for the doors, 'window' for the front window, 'vent' for the ceiling vent.
+export function stepGhost(ghost, dt, input, profile) {
+    const events = [];
+    ghost.time += dt;
+
+    switch (ghost.archetype) {
+        case 'crawler':
+            stepCrawler(ghost, dt, input, profile, events);
+            break;
+
+        case 'lightEater':
+            stepLightEater(ghost, dt, input, profile, events);
+            break;
+
+        case 'ventCrawler':
+            stepVentCrawler(ghost, dt, input, profile, events);
+            break;
+
+        default:
+            stepTeleporter(ghost, dt, input, profile, events);
+            break;
+    }
+
+    return events;
+}
+
+// General up-and-down floating (when not stalking or attacking)
+function floatBob(ghost) {
+    if (ghost.phase !== 'attack' && ghost.phase !== 'stalk') {
+        ghost.position.y = 4 + Math.sin(ghost.time * 2) * 0.5;
+    }
+}
+
+// --- Teleporter ---
+// Teleports to an open door while the flashlight is off, banished by holding the light on it.
+
+function stepTeleporter(ghost, dt, input, profile, events) {
+    floatBob(ghost);
+
+    switch (ghost.phase) {
+        case 'wander':
+            stepWander(ghost, dt, input, profile, events);
+            break;
+
+        case 'approach':
+            stepApproach(ghost, dt, input, profile, events);
+            break;
+
+        case 'stalk':
+            stepStalk(ghost, dt, input, profile, events);
+            break;
+
+        case 'attack':
+            stepAttack(ghost, dt, input, events);
+            break;
+
+        case 'retreat':
+            stepRetreat(ghost, dt, events);
+            break;
+    }
+}
+
+function stepWander(ghost, dt, input, profile, events) {
+    // Slow sine-wave wandering along the corridor
+    ghost.wanderTimer += dt * 0.5;
+    placeOnWanderRoute(ghost);
+
+    // A loud noise lures it straight towards the source
+    if (input.noiseSpike) {
+        startApproach(ghost, input, profile, input.noiseSpike.side);
+        events.push({ type: 'approach', side: ghost.attackSide, lured: true });
+        return;
+    }
+
+    // Noise makes every roll bolder
+    const noiseFactor = 1 + (input.noise || 0) * (profile.noiseSensitivity || 0);
+
+    // A dying, stuttering flashlight no longer holds it off: it keeps rolling teleports as in the dark
+    if (input.flashlightOn && !input.flashlightFailing) {
+        // [Flashlight On]: only start a normal attack from the ends of the wander route
+        if (random() < profile.normalAttackChance * input.aggression * noiseFactor && Math.abs(Math.sin(ghost.wanderTimer)) > 0.75) {
+            startApproach(ghost, input, profile);
+            events.push({ type: 'approach', side: ghost.attackSide });
+        }
+        return;
+    }
+
+    // [Flashlight Off]: perform a teleport check at the profile's interval (more often later in the night)
+    ghost.rngCheckTimer += dt;
+    if (ghost.rngCheckTimer <= profile.rngCheckInterval / input.aggression) return;
+    ghost.rngCheckTimer = 0;
+
+    // Roll the teleport chance (higher later in the night), otherwise keep wandering
+    if (random() >= Math.min(profile.teleportChance * input.aggression * noiseFactor, 0.9)) return;
+
+    // Only teleport to open doors, or the window (never closed, but less likely)
+    const targets = [];
+    if (isDoorPassable(input, 'left', profile)) targets.push('left');
+    if (isDoorPassable(input, 'right', profile)) targets.push('right');
+    if (profile.windowWeight > 0 && getNode(navGraph, WINDOW_NODE)) targets.push('window');
+
+    if (targets.length > 0) {
+        const chosenSide = pickWeighted(targets, side => side === 'window' ? profile.windowWeight : getDoorWeight(input, side));
+        if (chosenSide === 'window') teleportToWindow(ghost);
+        else teleportToDoor(ghost, chosenSide);
+        events.push({ type: 'teleport', side: chosenSide });
+    } else {
+        events.push({ type: 'teleportBlocked' });
+    }
+}
+
+// Intelligent attack direction selection
+// preferredSide: door to head for if it is open (e.g. where a noise came from)
+function startApproach(ghost, input, profile, preferredSide = null) {
+    ghost.phase = 'approach';
+
+    const currentX = ghost.position.x;
+    const leftOpen = isDoorPassable(input, 'left', profile);
+    const rightOpen = isDoorPassable(input, 'right', profile);
+
+    if (preferredSide && isDoorPassable(input, preferredSide, profile)) ghost.attackSide = preferredSide;
+    else if (leftOpen && !rightOpen) ghost.attackSide = 'left';
+    else if (rightOpen && !leftOpen) ghost.attackSide = 'right';
+    else if (leftOpen && rightOpen) {
+        const nearSide = currentX < 0 ? 'left' : 'right';
+        const farSide = nearSide === 'left' ? 'right' : 'left';
+        // Near-side bias, shifted towards the door the player neglects
+        ghost.attackSide = pickWeighted([nearSide, farSide], side =>
+            (side === nearSide ? profile.nearSideBias : 1 - profile.nearSideBias) * getDoorWeight(input, side));
+    } else {
+        ghost.attackSide = currentX < 0 ? 'left' : 'right';
+    }
+}
+
+function getDoorWeight(input, side) {
+    return input.doorWeights ? input.doorWeights[side] : 1;
+}
+
+// One of the options, chosen with probability proportional to weightOf(option)
+function pickWeighted(options, weightOf) {
+    const weights = options.map(weightOf);
+    let roll = random() * weights.reduce((sum, weight) => sum + weight, 0);
+    for (let i = 0; i < options.length - 1; i++) {
+        roll -= weights[i];
+        if (roll < 0) return options[i];
+    }
+    return options[options.length - 1];
+}
+
+function teleportToDoor(ghost, side) {
+    ghost.phase = 'stalk';
+    ghost.attackSide = side;
+    ghost.stalkTimer = 0;
+    ghost.exposureTimer = 0;
+
+    // Appear on the node just outside the door (y=4 moderate height)
+    const door = getNode(navGraph, `door_${side}`);
+    ghost.position.x = door.x;
+    ghost.position.y = 4;
+    ghost.position.z = door.z;
+    ghost.path = [];
+    ghost.pathGoal = null;
+
+    setTint(ghost, TINT_NORMAL);
+}
+
+// Pressed against the outside of the window glass, stalking like at a door
+function teleportToWindow(ghost) {
+    ghost.phase = 'stalk';
+    ghost.attackSide = 'window';
+    ghost.stalkTimer = 0;
+    ghost.exposureTimer = 0;
+
+    const node = getNode(navGraph, WINDOW_NODE);
+    ghost.position.x = node.x;
+    ghost.position.y = node.y;
+    ghost.position.z = node.z;
+    ghost.path = [];
+    ghost.pathGoal = null;
+
+    setTint(ghost, TINT_NORMAL);
+}
+
+// A door still counts as open until it has swung shut past profile.doorSlipClosure
+function isDoorPassable(input, side, profile) {
+    const closure = side === 'left' ? input.leftClosure : input.rightClosure;
+    return closure < profile.doorSlipClosure;
+}
+
+// How strongly the flashlight hits the ghost: 0 (dark) .. 1 (centre of the beam, close, unobstructed).
+// In the game input.lightExposure measures it against the real spotlight (exposure.js);
+// headless runs fall back to the same cone around the view direction, without falloff or occlusion.
+function getLightExposure(ghost, input) {
+    if (!input.flashlightOn) return 0;
+    if (typeof input.lightExposure === 'function') return input.lightExposure(ghost.position);
+
+    // Angle between the player's view and the "player -> ghost" vector
+    const dx = ghost.position.x - input.playerPosition.x;
+    const dy = ghost.position.y - input.playerPosition.y;
+    const dz = ghost.position.z - input.playerPosition.z;
+    const length = Math.hypot(dx, dy, dz) || 1;
+
+    const dot = (dx * input.viewDirection.x + dy * input.viewDirection.y + dz * input.viewDirection.z) / length;
+    const t = Math.min(Math.max((dot - HEADLESS_CONE_OUTER) / (HEADLESS_CONE_INNER - HEADLESS_CONE_OUTER), 0), 1);
+    return t * t * (3 - 2 * t);
+}
+
+// Instant exposure of an overcharge flash, scaled like the beam (exposure 0..1 from getLightExposure)
+function getBurstExposure(exposure, input, profile) {
+    return input.flashBurst ? exposure * (profile.burstExposure || 0) : 0;
+}
+
+function stepStalk(ghost, dt, input, profile, events) {
+    // 1. Total time the ghost has been at the door
+    ghost.stalkTimer += dt;
+
+    // 2. Exposure (kept when the light moves away, it does not decay).
+    // Builds up with the light's strength: the edge of the beam counts for less than its centre.
+    // An overcharge flash adds a large amount at once.
+    const exposure = getLightExposure(ghost, input);
+    if (exposure > 0) {
+        ghost.exposureTimer += dt * exposure + getBurstExposure(exposure, input, profile);
+
+        // Visual feedback: shaking
+        const shakeIntensity = 0.1 * exposure;
+        ghost.position.x += (random('fx') - 0.5) * shakeIntensity;
+        ghost.position.y += (random('fx') - 0.5) * shakeIntensity;
+
+        // Visual feedback: white -> red as exposure builds up
+        const ratio = Math.min(ghost.exposureTimer / profile.exposureNeeded, 1.0);
+        ghost.tint.r = 1.0;
+        ghost.tint.g = 1.0 - ratio;
+        ghost.tint.b = 1.0 - ratio;
+
+        if (ghost.exposureTimer >= profile.exposureNeeded) {
+            // Retreat moves it back from z=-2 through the door into darkness
+            ghost.phase = 'retreat';
+            events.push({ type: 'banished', side: ghost.attackSide });
+            return;
+        }
+    }
+
+    // 3. Time exhausted without enough exposure: attack.
+    // The intact window only cracks on the first visit; the next one comes through it.
+    const atWindow = ghost.attackSide === 'window';
+    const timeLimit = atWindow ? profile.windowTimeLimit : profile.stalkTimeLimit;
+    if (ghost.stalkTimer >= timeLimit && ghost.exposureTimer < profile.exposureNeeded) {
+        if (atWindow && !input.windowCracked) {
+            ghost.phase = 'retreat';
+            events.push({ type: 'crack', side: 'window' });
+            return;
+        }
+        ghost.phase = 'attack';
+        events.push({ type: 'attack', side: ghost.attackSide });
+    }
+}
+
+// Walk along the graph (corridor, corner, side passage) to the attacked door. Returns true once there.
+function walkToDoor(ghost, dt, speed) {
+    return walkTo(ghost, `door_${ghost.attackSide}`, dt, speed);
+}
+
+// At the door: go in if it is open, otherwise bounce off it
+function enterOrRepel(ghost, input, profile, events) {
+    if (isDoorPassable(input, ghost.attackSide, profile)) {
+        ghost.phase = 'attack';
+        events.push({ type: 'attack', side: ghost.attackSide });
+    } else {
+        ghost.phase = 'retreat';
+        setTint(ghost, TINT_REPELLED);
+        events.push({ type: 'repelled', side: ghost.attackSide });
+    }
+}
+
+function stepApproach(ghost, dt, input, profile, events) {
+    if (walkToDoor(ghost, dt, profile.approachSpeed)) {
+        enterOrRepel(ghost, input, profile, events);
+    }
+}
+
+function stepAttack(ghost, dt, input, events) {
+    // Lunge at the player
+    const alpha = Math.min(dt * 8, 1);
+    ghost.position.x += (input.playerPosition.x - ghost.position.x) * alpha;
+    ghost.position.y += (input.playerPosition.y - ghost.position.y) * alpha;
+    ghost.position.z += (input.playerPosition.z - ghost.position.z) * alpha;
+
+    const dist = Math.hypot(
+        ghost.position.x - input.playerPosition.x,
+        ghost.position.y - input.playerPosition.y,
+        ghost.position.z - input.playerPosition.z
+    );
+    if (dist < 0.5) events.push({ type: 'caught', side: ghost.attackSide });
+}
+
+function stepRetreat(ghost, dt, events) {
+    // Back along the graph to the end of its wander route on the side it came from
+    const route = WANDER_ROUTES[ghost.archetype];
+    const routeEnd = ghost.attackSide === 'left' ? route[0] : route[route.length - 1];
+
+    // Gradually restore the tint (if it was previously red)
+    ghost.tint.r += (1 - ghost.tint.r) * 0.1;
+    ghost.tint.g += (1 - ghost.tint.g) * 0.1;
+    ghost.tint.b += (1 - ghost.tint.b) * 0.1;
+
+    if (walkTo(ghost, routeEnd, dt, RETREAT_SPEED)) {
+        // Back to wandering, resuming the sine wave at that end of the route
+        ghost.phase = 'wander';
+        ghost.wanderTimer = ghost.attackSide === 'left' ? -Math.PI / 2 : Math.PI / 2;
+        setTint(ghost, TINT_NORMAL);
+        events.push({ type: 'wander' });
+    }
+}
+
+// --- Crawler ---
+// Creeps along the floor and only moves in while the player's attention is on a door.
+// Heads for the door that is NOT being watched. The flashlight drives it back.
+
+// Whether the player is looking at the given doorway
+function isWatchingDoor(input, side, profile) {
+    const threshold = getNode(navGraph, `threshold_${side}`);
+    const dx = threshold.x - input.playerPosition.x;
+    const dy = threshold.y - input.playerPosition.y;
+    const dz = threshold.z - input.playerPosition.z;
+    const length = Math.hypot(dx, dy, dz) || 1;
+    const dot = (dx * input.viewDirection.x + dy * input.viewDirection.y + dz * input.viewDirection.z) / length;
+    return dot > profile.watchDot;
+}
+
+function stepCrawler(ghost, dt, input, profile, events) {
+    const watchingLeft = isWatchingDoor(input, 'left', profile);
+    const watchingRight = isWatchingDoor(input, 'right', profile);
+    const doorsWatched = watchingLeft || watchingRight;
+
+    switch (ghost.phase) {
+        case 'wander': {
+            ghost.position.y = 1;
+            ghost.wanderTimer += dt * 0.3;
+            placeOnWanderRoute(ghost);
+
+            ghost.rngCheckTimer += dt;
+            if (ghost.rngCheckTimer <= profile.rngCheckInterval / input.aggression) break;
+            ghost.rngCheckTimer = 0;
+            if (!doorsWatched || random() >= Math.min(profile.approachChance * input.aggression, 0.9)) break;
+
+            // Sneak towards the door the player is not looking at
+            const unwatched = watchingLeft ? 'right' : 'left';
+            const side = isDoorPassable(input, unwatched, profile) ? unwatched
+                : (isDoorPassable(input, unwatched === 'left' ? 'right' : 'left', profile) ? (unwatched === 'left' ? 'right' : 'left') : null);
+            if (!side) break;
+
+            ghost.phase = 'approach';
+            ghost.attackSide = side;
+            ghost.exposureTimer = 0;
+            events.push({ type: 'approach', side: side });
+            break;
+        }
+
+        case 'approach': {
+            // Caught in the light: shrinks back
+            const exposure = getLightExposure(ghost, input);
+            if (exposure > 0) {
+                ghost.exposureTimer += dt * exposure + getBurstExposure(exposure, input, profile);
+                if (ghost.exposureTimer >= profile.exposureNeeded) {
+                    ghost.phase = 'retreat';
+                    events.push({ type: 'banished', side: ghost.attackSide });
+                    break;
+                }
+            }
+
+            // Frozen while nobody watches the doors
+            if (!doorsWatched) break;
+
+            if (walkToDoor(ghost, dt, profile.approachSpeed)) {
+                enterOrRepel(ghost, input, profile, events);
+            }
+            ghost.position.y = 1;
+            break;
+        }
+
+        case 'attack':
+            stepAttack(ghost, dt, input, events);
+            break;
+
+        case 'retreat':
+            stepRetreat(ghost, dt, events);
+            ghost.position.y = 1;
+            break;
+    }
+}
+
+// --- Light-eater ---
+// Walks up to a door and lingers in the doorway before coming in. The flashlight does nothing
+// (switching it on only attracts it); the only defence is a closed door.
+
+function stepLightEater(ghost, dt, input, profile, events) {
+    floatBob(ghost);
+
+    switch (ghost.phase) {
+        case 'wander': {
+            ghost.wanderTimer += dt * 0.4;
+            placeOnWanderRoute(ghost);
+
+            ghost.rngCheckTimer += dt;
+            if (ghost.rngCheckTimer <= profile.rngCheckInterval / input.aggression) break;
+            ghost.rngCheckTimer = 0;
+
+            const attraction = input.flashlightOn ? profile.lightAttraction : 1;
+            if (random() >= Math.min(profile.approachChance * attraction * input.aggression, 0.9)) break;
+
+            startApproach(ghost, input, profile);
+            events.push({ type: 'approach', side: ghost.attackSide });
+            break;
+        }
+
+        case 'approach':
+            if (walkToDoor(ghost, dt, profile.approachSpeed)) {
+                if (!isDoorPassable(input, ghost.attackSide, profile)) {
+                    enterOrRepel(ghost, input, profile, events);
+                    break;
+                }
+                // Linger in the doorway
+                ghost.phase = 'stalk';
+                ghost.stalkTimer = 0;
+                events.push({ type: 'lurk', side: ghost.attackSide });
+            }
+            break;
+
+        case 'stalk':
+            ghost.stalkTimer += dt;
+            if (!isDoorPassable(input, ghost.attackSide, profile)) {
+                enterOrRepel(ghost, input, profile, events);
+            } else if (ghost.stalkTimer >= profile.lingerTime) {
+                enterOrRepel(ghost, input, profile, events);
+            }
+            break;
+
+        case 'attack':
+            stepAttack(ghost, dt, input, events);
+            break;
+
+        case 'retreat':
+            stepRetreat(ghost, dt, events);
+            break;
+    }
+}
+
+// --- Vent crawler ---
+// Crawls through the ceiling duct to the grate and waits there, then drops onto the player.
+// Light and doors do nothing; a shut vent shutter sends it back.
+
+function stepVentCrawler(ghost, dt, input, profile, events) {
+    switch (ghost.phase) {
+        case 'wander':
+            ghost.wanderTimer += dt * 0.3;
+            placeOnWanderRoute(ghost);
+
+            ghost.rngCheckTimer += dt;
+            if (ghost.rngCheckTimer <= profile.rngCheckInterval / input.aggression) break;
+            ghost.rngCheckTimer = 0;
+            if (random() >= Math.min(profile.approachChance * input.aggression, 0.9)) break;
+
+            ghost.phase = 'approach';
+            ghost.attackSide = 'vent';
+            events.push({ type: 'approach', side: 'vent' });
+            break;
+
+        case 'approach':
+            if (walkTo(ghost, VENT_NODE, dt, profile.approachSpeed)) {
+                ghost.phase = 'stalk';
+                ghost.stalkTimer = 0;
+                events.push({ type: 'lurk', side: 'vent' });
+            }
+            break;
+
+        case 'stalk':
+            ghost.stalkTimer += dt;
+            if (input.ventShut) {
+                ghost.phase = 'retreat';
+                setTint(ghost, TINT_REPELLED);
+                events.push({ type: 'repelled', side: 'vent' });
+            } else if (ghost.stalkTimer >= profile.grateTime) {
+                ghost.phase = 'attack';
+                events.push({ type: 'attack', side: 'vent' });
+            }
+            break;
+
+        case 'attack':
+            stepAttack(ghost, dt, input, events);
+            break;
+
+        case 'retreat':
+            stepRetreat(ghost, dt, events);
+            break;
+    }
+
+    if (ghost.phase !== 'attack') ghost.position.y = ARCHETYPE_HEIGHTS.ventCrawler;
+}
+
+// How close a vent crawler is to dropping in: 0 (not coming) .. 1 (dropping), drives the
+// scraping and the dust falling from the grate
+export function getVentThreat(ghost, profile) {
+    if (ghost.archetype !== 'ventCrawler') return 0;
+
+    switch (ghost.phase) {
+        case 'approach': {
+            const grate = getNode(navGraph, VENT_NODE);
+            const distance = Math.hypot(grate.x - ghost.position.x, grate.z - ghost.position.z);
+            return 0.2 + 0.5 * (1 - Math.min(distance / VENT_WARN_DISTANCE, 1));
+        }
+        case 'stalk':
+            return 0.7 + 0.3 * Math.min(ghost.stalkTimer / profile.grateTime, 1);
+        case 'attack':
+            return 1;
+        default:
+            return 0;
+    }
+}
+
+// --- Door interaction ---
+
+// Only counts as blocking if in 'stalk' phase and exactly on that side
+// (The light-eater does not hold the door open: closing it on the lurking entity repels it instead.)
+export function isBlockingDoor(ghost, side) {
+    if (ghost.archetype === 'lightEater') return false;
+    return ghost.phase === 'stalk' && ghost.attackSide === side;
+}
+
+// Ghost is at (or walking the last stretch towards) the given door
+export function isNearDoor(ghost, side) {
+    if (ghost.attackSide !== side) return false;
+    if (ghost.phase === 'stalk' || ghost.phase === 'attack') return true;
+
+    // Last leg of the path (e.g. the side passage from the corner to the door)
+    return ghost.phase === 'approach' && ghost.pathGoal === `door_${side}` && ghost.path.length === 1;
+}
+
+// Physical hit by a closing door: forced retreat, timers reset, turns dark red
+export function hitByDoor(ghost) {
+    ghost.phase = 'retreat';
+    ghost.stalkTimer = 0;
+    ghost.exposureTimer = 0;
+    setTint(ghost, TINT_HURT);
+}
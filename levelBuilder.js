@@ -0,0 +1,287 @@
+import * as THREE from 'three';
+import { MTLLoader } from 'three/addons/loaders/MTLLoader.js';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { createNavGraphFromData } from './navGraph.js';
+
+// --- Level layout builder ---
+// Turns a layout definition (JSON, see assets/layouts/office.json) into scene objects.
+//
+// Layout format (all lengths in world units, angles in degrees):
+//   fog:        { color, density }
+//   surfaces:   floors/ceilings  { name, size: [w, d], segments?: [x, y], position, facing: 'up'|'down', material, receiveShadow? }
+//   walls:      { name, from: [x, z], to: [x, z], height, segments?, material, occludesLight? }
+//               The wall's front (the side facing the room) is on the left when walking from -> to.
+//   windows:    { name, wall, offset, width, bottom, top, material, frameMaterial? }  (cut into `wall`)
+//   doors:      { side: 'left'|'right', wall, offset, width, height, elevation, thickness, hinge: 'start'|'end', material }
+//               Doors cut a full-height opening; the hinge sits at the opening's start or end along the wall.
+//   lights:     { name, type: 'ambient'|'point'|'spot', color, intensity, position?, distance?, decay?, angle?, penumbra?,
+//                 castShadow?, shadowBias? }
+//   props:      { name, type: 'model'|'lampFixture', position, rotationY?, scale?, model?, texture?, castShadow?, receiveShadow? }
+//   navigation: { nodes: { name: [x, y, z] }, edges: [[a, b], ...] }   (see navGraph.js)
+// Materials are referenced by name and resolved through a MaterialLibrary (materialLibrary.js).
+// Models load through the optional THREE.LoadingManager (see assetLoader.js).
+
+// Fetch a layout JSON (returns a Promise)
+export function loadLayout(url) {
+    return fetch(url).then(response => {
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+        return response.json();
+    });
+}
+
+// Build the layout into the scene.
+// Returns { doors: { left, right }, windows, lights, props, occluders, navGraph }
+// Doors are the swinging leaf groups (closed = rotated by ±PI around the hinge).
+export function buildLevel(scene, layout, materials, manager) {
+    const level = { doors: {}, windows: {}, lights: {}, props: {}, occluders: [], navGraph: null };
+
+    const getMaterial = name => materials.get(name) || new THREE.MeshStandardMaterial({ color: 0x333333 });
+
+    if (layout.fog) scene.fog = new THREE.FogExp2(new THREE.Color(layout.fog.color), layout.fog.density);
+
+    (layout.surfaces || []).forEach(def => buildSurface(scene, def, getMaterial));
+
+    // Openings are cut from the walls before they are built
+    const openings = {};
+    const addOpening = (wallName, opening) => {
+        if (!openings[wallName]) openings[wallName] = [];
+        openings[wallName].push(opening);
+    };
+    (layout.windows || []).forEach(def => addOpening(def.wall, def));
+    (layout.doors || []).forEach(def => addOpening(def.wall, { offset: def.offset, width: def.width }));
+
+    const walls = {};
+    (layout.walls || []).forEach(def => {
+        walls[def.name] = def;
+        const pieces = buildWall(scene, def, openings[def.name] || [], getMaterial);
+        if (def.occludesLight) level.occluders.push(...pieces);
+    });
+
+    (layout.windows || []).forEach(def => {
+        const wall = walls[def.wall];
+        if (!wall) return console.warn(`Window ${def.name} references unknown wall: ${def.wall}`);
+        level.windows[def.name] = buildWindow(scene, wall, def, getMaterial);
+    });
+
+    (layout.doors || []).forEach(def => {
+        const wall = walls[def.wall];
+        if (!wall) return console.warn(`Door ${def.side} references unknown wall: ${def.wall}`);
+        const door = buildDoor(scene, wall, def, getMaterial);
+        level.doors[def.side] = door;
+        level.occluders.push(door);
+    });
+
+    (layout.lights || []).forEach(def => {
+        level.lights[def.name] = buildLight(scene, def);
+    });
+
+    (layout.props || []).forEach(def => {
+        level.props[def.name] = buildProp(scene, def, manager);
+    });
+
+    if (layout.navigation) level.navGraph = createNavGraphFromData(layout.navigation);
+
+    return level;
+}
+
+// --- Geometry helpers ---
+
+// Direction, length and mesh rotation of a wall running from -> to
+function wallFrame(wall) {
+    const dx = wall.to[0] - wall.from[0];
+    const dz = wall.to[1] - wall.from[1];
+    const length = Math.hypot(dx, dz);
+    return { dirX: dx / length, dirZ: dz / length, length, rotationY: Math.atan2(-dz, dx) };
+}
+
+// A vertical plane on the wall, spanning [start, end] along it and [bottom, top] in height
+function addWallPanel(scene, wall, frame, start, end, bottom, top, material, segments) {
+    const width = end - start;
+    const height = top - bottom;
+    if (width <= 0 || height <= 0) return null;
+
+    const mesh = new THREE.Mesh(new THREE.PlaneGeometry(width, height, segments, segments), material);
+    const along = (start + end) / 2;
+    mesh.position.set(wall.from[0] + frame.dirX * along, (bottom + top) / 2, wall.from[1] + frame.dirZ * along);
+    mesh.rotation.y = frame.rotationY;
+    scene.add(mesh);
+    return mesh;
+}
+
+function buildSurface(scene, def, getMaterial) {
+    const segments = def.segments || [1, 1];
+    const mesh = new THREE.Mesh(
+        new THREE.PlaneGeometry(def.size[0], def.size[1], segments[0], segments[1]),
+        getMaterial(def.material)
+    );
+    mesh.rotation.x = def.facing === 'down' ? Math.PI / 2 : -Math.PI / 2;
+    mesh.position.set(...def.position);
+    mesh.receiveShadow = !!def.receiveShadow;
+    scene.add(mesh);
+    return mesh;
+}
+
+// Wall split into panels around its openings (full-height strips between openings,
+// plus the parts below/above each opening, in the opening's frame material if given)
+function buildWall(scene, wall, openings, getMaterial) {
+    const frame = wallFrame(wall);
+    const material = getMaterial(wall.material);
+    const segments = wall.segments || 1;
+    const pieces = [];
+    const add = mesh => { if (mesh) pieces.push(mesh); };
+
+    let cursor = 0;
+    [...openings].sort((a, b) => a.offset - b.offset).forEach(opening => {
+        const start = opening.offset;
+        const end = opening.offset + opening.width;
+        const bottom = opening.bottom || 0;
+        const top = opening.top === undefined ? wall.height : opening.top;
+        const frameMaterial = opening.frameMaterial ? getMaterial(opening.frameMaterial) : material;
+
+        add(addWallPanel(scene, wall, frame, cursor, start, 0, wall.height, material, segments));
+        add(addWallPanel(scene, wall, frame, start, end, 0, bottom, frameMaterial, segments));
+        add(addWallPanel(scene, wall, frame, start, end, top, wall.height, frameMaterial, segments));
+        cursor = end;
+    });
+    add(addWallPanel(scene, wall, frame, cursor, frame.length, 0, wall.height, material, segments));
+
+    return pieces;
+}
+
+function buildWindow(scene, wall, def, getMaterial) {
+    const frame = wallFrame(wall);
+    return addWallPanel(scene, wall, frame, def.offset, def.offset + def.width, def.bottom, def.top, getMaterial(def.material), 1);
+}
+
+// Door: a fixed frame group at the hinge, turned so that the open leaf lies flat along the wall
+// (away from the opening), and the swinging leaf inside it
+function buildDoor(scene, wall, def, getMaterial) {
+    const frame = wallFrame(wall);
+    const hingeAlong = def.hinge === 'end' ? def.offset + def.width : def.offset;
+    const awaySign = def.hinge === 'end' ? 1 : -1; // Away from the opening along the wall
+    const awayX = frame.dirX * awaySign;
+    const awayZ = frame.dirZ * awaySign;
+
+    const hinge = new THREE.Group();
+    hinge.position.set(wall.from[0] + frame.dirX * hingeAlong, 0, wall.from[1] + frame.dirZ * hingeAlong);
+    hinge.rotation.y = Math.atan2(awayX, awayZ); // Local +z points away from the opening
+    scene.add(hinge);
+
+    const leaf = new THREE.Group();
+    leaf.position.y = def.elevation + def.height / 2;
+    leaf.userData.restY = leaf.position.y; // Height of the working door (main.js drops a broken one)
+    hinge.add(leaf);
+
+    const panel = new THREE.Mesh(new THREE.BoxGeometry(def.thickness, def.height, def.width), getMaterial(def.material));
+    panel.position.z = def.width / 2;
+    panel.castShadow = true;
+    panel.receiveShadow = true;
+    leaf.add(panel);
+
+    return leaf;
+}
+
+function buildLight(scene, def) {
+    const color = new THREE.Color(def.color);
+    let light;
+
+    switch (def.type) {
+        case 'ambient':
+            light = new THREE.AmbientLight(color, def.intensity);
+            break;
+        case 'point':
+            light = new THREE.PointLight(color, def.intensity, def.distance || 0, def.decay === undefined ? 2 : def.decay);
+            break;
+        case 'spot':
+            light = new THREE.SpotLight(
+                color, def.intensity, def.distance || 0, THREE.MathUtils.degToRad(def.angle || 60),
+                def.penumbra || 0, def.decay === undefined ? 2 : def.decay
+            );
+            break;
+        default:
+            console.warn(`Unknown light type: ${def.type}`);
+            return null;
+    }
+
+    if (def.position) light.position.set(...def.position);
+    if (def.castShadow) {
+        light.castShadow = true;
+        if (def.shadowBias !== undefined) light.shadow.bias = def.shadowBias;
+    }
+    scene.add(light);
+    return light;
+}
+
+function buildProp(scene, def, manager) {
+    switch (def.type) {
+        case 'lampFixture':
+            return buildLampFixture(scene, def);
+        case 'model':
+            return buildModelProp(scene, def, manager);
+        default:
+            console.warn(`Unknown prop type: ${def.type}`);
+            return null;
+    }
+}
+
+// Hanging ceiling lamp: shade with a small bulb below it. The bulb material is exposed for the flicker.
+function buildLampFixture(scene, def) {
+    const group = new THREE.Group();
+    group.position.set(...def.position);
+
+    const shade = new THREE.Mesh(
+        new THREE.ConeGeometry(2, 1, 32, 1, true),
+        new THREE.MeshStandardMaterial({ color: 0x111111, side: THREE.DoubleSide })
+    );
+    group.add(shade);
+
+    const bulbMaterial = new THREE.MeshBasicMaterial({ color: 0xffaa00 });
+    const bulb = new THREE.Mesh(new THREE.SphereGeometry(0.2), bulbMaterial);
+    bulb.position.y = -0.5;
+    group.add(bulb);
+
+    group.userData.bulbMaterial = bulbMaterial;
+    scene.add(group);
+    return group;
+}
+
+// OBJ/MTL model (model path without extension). Added to the returned group once loaded;
+// a model that fails to load leaves the group empty (props are decoration only).
+function buildModelProp(scene, def, manager) {
+    const group = new THREE.Group();
+    group.position.set(...def.position);
+    group.rotation.y = THREE.MathUtils.degToRad(def.rotationY || 0);
+    group.scale.setScalar(def.scale || 1);
+    scene.add(group);
+
+    const onError = error => console.error(`Error loading prop ${def.name}:`, error);
+
+    const mtlLoader = new MTLLoader(manager);
+    mtlLoader.load(`${def.model}.mtl`, function (materials) {
+        materials.preload();
+
+        const objLoader = new OBJLoader(manager);
+        objLoader.setMaterials(materials);
+
+        objLoader.load(`${def.model}.obj`, function (object) {
+            // Apply the texture by hand (prevents a black model when MTL texture paths do not resolve)
+            let texture = null;
+            if (def.texture) {
+                texture = new THREE.TextureLoader(manager).load(def.texture);
+                texture.colorSpace = THREE.SRGBColorSpace;
+            }
+
+            object.traverse(function (child) {
+                if (child.isMesh) {
+                    if (texture) child.material.map = texture;
+                    child.castShadow = !!def.castShadow;
+                    child.receiveShadow = !!def.receiveShadow;
+                }
+            });
+
+            group.add(object);
+        }, undefined, onError);
+    }, undefined, onError);
+
+    return group;
+}
@@ -1,32 +1,152 @@
 import * as THREE from 'three';
-import { MTLLoader } from 'three/addons/loaders/MTLLoader.js';
-import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
 import { FlashlightSystem } from './flashlight.js';
-import { initEnemy, updateEnemy, resetEnemy, isGhostBlockingDoor, onGhostHitByDoor } from './enemy.js';
+import { PowerSystem } from './power.js';
+import { CCTVSystem } from './cctv.js';
+import { AudioManager } from './audio.js';
+import { ExposureSystem } from './exposure.js';
+import { AssetLoader } from './assetLoader.js';
+import { PostProcessing } from './postProcessing.js';
+import { NightVisionSystem } from './nightVision.js';
+import { NoiseSystem } from './noise.js';
+import { CameraEffects } from './cameraEffects.js';
+import { WindowSystem } from './windowGlass.js';
+import { VentSystem } from './ventShutter.js';
+import { loadLayout, buildLevel } from './levelBuilder.js';
+import { getNode } from './navGraph.js';
+import { MaterialLibrary, loadMaterialManifest } from './materialLibrary.js';
+import { initEnemy, updateEnemy, resetEnemy, startJumpscare, updateJumpscare, isGhostBlockingDoor, isGhostAtDoor, isGhostAtWindow, takeWindowCrack, getGhostVentThreat, onGhostHitByDoor, setEnemyAggression, setEnemyProfile, setEnemyExposure, setEnemyNavGraph, spawnEnemies, getGhostPosition, getGhostPhase, getEnemyPositions, getGhostMemory } from './enemy.js';
+import { getNight, loadProgress, saveProgress, completeNight, resetProgress } from './campaign.js';
+import { random, setSeed, getSeed, randomSeed, formatSeed, parseSeed } from './rng.js';
 
 // --- Global Variables ---
 let scene, camera, renderer;
 let leftDoor, rightDoor;
 let ceilingLight, bulbMat, flashLight;
 let flashlightSystem;
+let nightVision;
+let powerSystem;
+let noiseSystem;
+let cctvSystem;
+let audioManager;
+let exposureSystem;
+let postProcessing;
+let cameraEffects;
+let windowSystem;
+let ventSystem;
+let lastGhostPhase = 'wander'; // Lead entity phase of the previous frame (scare on a new stalk)
+
+// --- Campaign progress (persisted in localStorage) ---
+const progress = loadProgress();
+
+// --- Run seed ---
+// ?seed=XXXXXXXX replays a night with a fixed seed, otherwise every night gets a fresh one
+const urlSeed = parseSeed(new URLSearchParams(window.location.search).get('seed'));
+
+// --- Level layout ---
+// ?layout=path/to/layout.json loads an alternative office (see levelBuilder.js for the format)
+const LAYOUT_URL = new URLSearchParams(window.location.search).get('layout') || './assets/layouts/office.json';
+
+// --- Texture quality ---
+// ?quality=512|1k|2k picks the texture tier (see materialLibrary.js)
+const MATERIAL_MANIFEST_URL = './assets/materials.json';
+const TEXTURE_QUALITY = new URLSearchParams(window.location.search).get('quality') || '1k';
+
+// --- Debug view ---
+// ?debug shows what the ghost has learned about the player's habits this night (see enemy.js)
+const DEBUG_MEMORY = new URLSearchParams(window.location.search).has('debug');
 
 const gameState = {
     isPlaying: false,
-    leftOpen: true,
+    leftOpen: true,     // Commanded door state (the panel swings towards it, see leftClosure)
     rightOpen: true,
+    // --- Door motion: current swing, 0 = fully open .. 1 = fully closed ---
+    leftClosure: 0,
+    rightClosure: 0,
     // --- Door damage states ---
     leftBroken: false,  // Whether left door is broken
     rightBroken: false, // Whether right door is broken
+    windowCracked: false, // The front window was cracked once; the next visit comes through it
+    ventShut: false,    // The ceiling vent shutter is sealed (see VentSystem.isSealed)
     isGameOver: false,
-    flashlightOn: false 
+    isShiftComplete: false, // Survived until 06:00
+    // --- Door repair ---
+    leftRepair: 0,      // Repair progress of the broken left door (0..1)
+    rightRepair: 0,     // Repair progress of the broken right door (0..1)
+    repairingSide: null, // Door currently being repaired ('left' / 'right')
+    night: 0,           // Night currently loaded (0 = none, waiting in the campaign menu)
+    flashlightOn: false,     // The beam is actually shining (see FlashlightSystem.isBeamOn)
+    flashlightFailing: false, // Dying battery: dim, stuttering beam
+    flashBurst: false,       // An overcharge flash went off this frame
+    noise: 0,                // Noise level the player made (0..1, see NoiseSystem)
+    noiseSpike: null,        // { side } of a loud sound this frame, lures the ghost
+    // --- Night shift clock ---
+    shiftTime: 0,       // Real seconds played this night (only advances while playing)
+    hour: 0             // Current in-game hour (0 = 00:00 ... 6 = 06:00)
 };
 
+// --- Door motion config ---
+const DOOR_CONFIG = {
+    swingTime: 0.6,  // Seconds for a full open -> closed swing
+    hitClosure: 0.8  // A closing door that passes this closure hits a ghost standing in the doorway
+};
+
+// --- Door repair config ---
+const REPAIR_CONFIG = {
+    duration: 5.0,  // Seconds of holding the repair key to fix a broken door
+    lookDot: 0.85   // How directly the player must look at the doorway
+};
+
+// Repair key (R) is held down
+let repairKeyHeld = false;
+
+// Doorway look targets for the repair, from the layout's threshold_left / threshold_right nav nodes
+const doorways = {};
+
+// --- Night shift config ---
+const SHIFT_CONFIG = {
+    realDuration: 360,      // Real seconds mapped onto the whole 00:00 - 06:00 shift (1 s = 1 in-game minute)
+    hours: 6,               // Shift ends at 06:00
+    aggressionPerHour: 0.25 // Ghost aggression multiplier added on every in-game hour
+};
+
+// --- Screen effects config ---
+const SCREEN_FX_CONFIG = {
+    threatRange: 20,       // The lead entity stalking / attacking closer than this distorts the view
+    doorBreakBurst: 1.0,   // Distortion spike when a door breaks
+    doorBreakShake: 0.9,   // Camera trauma of a door breaking
+    doorBreakFovPunch: 6,  // Degrees
+    stalkFovPunch: 5,      // Scare when an entity turns up at a door
+    flareShake: 0.5,       // Night-vision flare
+    windowCrackBurst: 0.7, // Distortion spike when the window cracks
+    windowCrackShake: 0.5
+};
+
+// --- Death sequence config ---
+// Caught: the camera snaps to the killer, it rushes the lens while the feed glitches, then the
+// signal dies and the terminal shows the cause of death. Input is locked meanwhile; once the
+// sequence has played in full (saved with the progress) any key or click skips it.
+const DEATH_CONFIG = {
+    lungeTime: 1.4,       // Seconds the killer takes to reach the lens
+    signalLossTime: 1.2,  // Seconds of dying signal afterwards
+    glitch: 0.3           // Distortion at the start of the lunge, rising to full
+};
+
+let deathSequence = null; // { time, cause, skippable } while it plays
+
 const clock = new THREE.Clock();
 
-init();
-animate();
+Promise.all([loadLayout(LAYOUT_URL), loadMaterialManifest(MATERIAL_MANIFEST_URL)])
+    .then(([layout, materialManifest]) => {
+        init(layout, materialManifest);
+        animate();
+    })
+    .catch(error => {
+        console.error('Error loading level data:', error);
+        // Without the layout there is no office to build, so stay on the terminal
+        document.getElementById('overlay-text').innerText = "> LEVEL DATA UNAVAILABLE // CHECK CONSOLE <";
+    });
 
-function init() {
+function init(layout, materialManifest) {
     // 1. Initialize scene
     scene = new THREE.Scene();
     scene.fog = new THREE.FogExp2(0x050505, 0.03); // Slightly lighter fog
@@ -34,369 +154,46 @@ function init() {
     camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 100);
     camera.position.set(0, 5, 5);
 
+    // Shakes, breathing and FOV effects as offsets on this seat pose
+    cameraEffects = new CameraEffects(camera);
+
     renderer = new THREE.WebGLRenderer({ antialias: true });
     renderer.setSize(window.innerWidth, window.innerHeight);
     renderer.shadowMap.enabled = true;
     renderer.shadowMap.type = THREE.PCFSoftShadowMap;
     document.body.appendChild(renderer.domElement);
 
-    // 2. Load textures
-    const textureLoader = new THREE.TextureLoader();
-    
-    // --- Load PBR floor textures (rough_wood) ---
-    const floorPath = './assets/textures/floor/rough_wood_';
-
-    // Load all texture channels
-    const floorColor = textureLoader.load(floorPath + 'diff_1k.jpg');   // Diffuse/Color
-    const floorNormal = textureLoader.load(floorPath + 'nor_gl_1k.jpg'); // Normal map (OpenGL)
-    const floorRough = textureLoader.load(floorPath + 'rough_1k.jpg');  // Roughness
-    const floorAO = textureLoader.load(floorPath + 'ao_1k.jpg');        // Ambient Occlusion
-    const floorDisp = textureLoader.load(floorPath + 'disp_1k.jpg');    // Displacement/Height
-
-    // Set texture wrapping and repeat for all floor textures
-    const floorTextures = [floorColor, floorNormal, floorRough, floorAO, floorDisp];
-    
-    floorTextures.forEach(t => {
-        t.wrapS = t.wrapT = THREE.RepeatWrapping;
-        // Floor is large (100x100), so use high repeat count to avoid giant wood grain
-        t.repeat.set(30, 30); 
-    });
-
-    // Color texture must use sRGB color space
-    floorColor.colorSpace = THREE.SRGBColorSpace;
-
-    // Define floor material with PBR properties
-    const floorMat = new THREE.MeshStandardMaterial({ 
-        map: floorColor,
-        
-        normalMap: floorNormal,
-        normalScale: new THREE.Vector2(1, 1), // Adjust bump intensity
-        
-        roughnessMap: floorRough,
-        roughness: 1.0, // Used with roughnessMap
-        
-        aoMap: floorAO,
-        aoMapIntensity: 1.0,
-        
-        displacementMap: floorDisp,
-        displacementScale: 0.1, // Slight surface variation, too high causes clipping
-        
-        side: THREE.DoubleSide
-    });
-
-    // --- Load PBR wall textures (castle brick) ---
-    const path = './assets/textures/wall1/castle_brick_02_white_';
-    
-    const wallColor = textureLoader.load(path + 'diff_1k.jpg');   // Diffuse/Color
-    const wallNormal = textureLoader.load(path + 'nor_gl_1k.jpg'); // Normal map (use OpenGL version)
-    const wallRough = textureLoader.load(path + 'rough_1k.jpg');  // Roughness
-    const wallAO = textureLoader.load(path + 'ao_1k.jpg');        // Ambient Occlusion
-    const wallDisp = textureLoader.load(path + 'disp_1k.jpg');    // Displacement/Height
-
-    // Set texture wrapping and repeat - all textures must align perfectly
-    const wallTextures = [wallColor, wallNormal, wallRough, wallAO, wallDisp];
-    
-    wallTextures.forEach(t => {
-        t.wrapS = t.wrapT = THREE.RepeatWrapping;
-        t.repeat.set(2, 2); // Match original wall texture density
-    });
-
-    // Color texture uses sRGB space, math textures (normal/roughness) stay in Linear space
-    wallColor.colorSpace = THREE.SRGBColorSpace;
-
-    // Create PBR wall material using MeshStandardMaterial
-    const wallMat = new THREE.MeshStandardMaterial({ 
-        map: wallColor,
-        
-        normalMap: wallNormal,      // Add surface detail and bump
-        normalScale: new THREE.Vector2(1, 1), // Adjust bump intensity
-        
-        roughnessMap: wallRough,    // Control surface smoothness variation
-        roughness: 1.0,             // Base roughness, used with roughnessMap
-        
-        aoMap: wallAO,              // Add shadow details in crevices
-        aoMapIntensity: 1.0,
-        
-        displacementMap: wallDisp,  // Real geometric displacement
-        displacementScale: 0.15,    // Sensitive value, too high causes artifacts
-        
-        side: THREE.DoubleSide
-    });
-
-    // --- Load concrete wall textures (Dirty Concrete) for front wall ---
-    const concretePath = './assets/textures/wall2/dirty_concrete_';
-    
-    const concColor = textureLoader.load(concretePath + 'diff_1k.jpg');
-    const concNormal = textureLoader.load(concretePath + 'nor_gl_1k.jpg');
-    const concRough = textureLoader.load(concretePath + 'rough_1k.jpg');
-    const concAO = textureLoader.load(concretePath + 'ao_1k.jpg');
-    const concDisp = textureLoader.load(concretePath + 'disp_1k.jpg');
-
-    const concTextures = [concColor, concNormal, concRough, concAO, concDisp];
-    concTextures.forEach(t => {
-        t.wrapS = t.wrapT = THREE.RepeatWrapping;
-        t.repeat.set(6, 1); 
-    });
-    concColor.colorSpace = THREE.SRGBColorSpace;
-
-    // Define concrete material
-    const concreteMat = new THREE.MeshStandardMaterial({ 
-        map: concColor,
-        normalMap: concNormal,
-        roughnessMap: concRough,
-        roughness: 1.0,
-        aoMap: concAO,
-        aoMapIntensity: 1.5,
-        displacementMap: concDisp,
-        displacementScale: 0.15, // Less displacement for concrete
-        side: THREE.DoubleSide
-    });
-
-    // --- Load door PBR textures (Rusty Metal Grid) ---
-    const doorPath = './assets/textures/door/rusty_metal_grid_';
-
-    const doorColor = textureLoader.load(doorPath + 'diff_1k.jpg');
-    const doorNormal = textureLoader.load(doorPath + 'nor_gl_1k.jpg');
-    const doorRough = textureLoader.load(doorPath + 'rough_1k.jpg');
-    const doorAO = textureLoader.load(doorPath + 'ao_1k.jpg');
-    const doorDisp = textureLoader.load(doorPath + 'disp_1k.jpg');
-    const doorMetal = textureLoader.load(doorPath + 'arm_1k.jpg'); // ARM texture for metalness
+    // CRT / VHS post-processing of the first-person view (the CCTV feeds have their own shader)
+    postProcessing = new PostProcessing(renderer, scene, camera);
 
-    const doorTextures = [doorColor, doorNormal, doorRough, doorAO, doorDisp, doorMetal];
-
-    doorTextures.forEach(t => {
-        t.wrapS = t.wrapT = THREE.RepeatWrapping;
-        // Door is 8 wide x 14 tall
-        // Use high repeat to avoid stretching the grid pattern
-        t.repeat.set(2, 4); 
-    });
-
-    doorColor.colorSpace = THREE.SRGBColorSpace;
-
-    // Create door material with metallic properties
-    const doorMat = new THREE.MeshStandardMaterial({
-        map: doorColor,
-        
-        normalMap: doorNormal,
-        normalScale: new THREE.Vector2(1, 1),
+    // Every texture / model loads through one manager; the night menu waits until all are done
+    const assets = new AssetLoader();
+    assets.onProgress = showLoadingProgress;
+    assets.onReady = failed => {
+        if (failed.length > 0) console.warn(`${failed.length} asset(s) missing, running on fallbacks`);
+        showCampaignMenu();
+    };
 
-        roughnessMap: doorRough,
-        roughness: 1.0, 
+    // 2. Materials (shared, built from the manifest on first use at the configured texture quality)
+    const materials = new MaterialLibrary(materialManifest, TEXTURE_QUALITY, assets.manager);
 
-        aoMap: doorAO,
-        aoMapIntensity: 1.0,
-        
-        // For rusty metal, metalnessMap is important
-        // ARM texture: R=AO, G=Roughness, B=Metalness
-        metalnessMap: doorMetal, 
-        metalness: 1.0, 
+    // 3. Scene construction from the level layout (walls, openings, doors, lights, props)
+    const level = buildLevel(scene, layout, materials, assets.manager);
 
-        displacementMap: doorDisp,
-        displacementScale: 0.2, // Grid door can have stronger bump
+    leftDoor = level.doors.left;
+    rightDoor = level.doors.right;
+    ceilingLight = level.lights.ceiling;
+    bulbMat = level.props.ceilingLamp.userData.bulbMaterial;
 
-        side: THREE.DoubleSide
+    // Waypoints the entities walk along: corridor, corners, outside the doors, the window
+    setEnemyNavGraph(level.navGraph);
+    ['left', 'right'].forEach(side => {
+        const node = level.navGraph && getNode(level.navGraph, `threshold_${side}`);
+        if (node) doorways[side] = new THREE.Vector3(node.x, node.y, node.z);
+        else console.warn(`Layout has no threshold_${side} nav node, the ${side} door cannot be repaired`);
     });
 
-    // --- Load player chair model ---
-    const mtlLoader = new MTLLoader();
-    
-    mtlLoader.load('./assets/models/chair.mtl', function (materials) {
-        materials.preload();
-        
-        const objLoader = new OBJLoader();
-        objLoader.setMaterials(materials);
-        
-        objLoader.load('./assets/models/chair.obj', function (object) {
-            
-            // 1. Manual texture loading and application (prevent black model due to MTL path issues)
-            const chairTex = textureLoader.load('./assets/models/chair.png'); 
-            chairTex.colorSpace = THREE.SRGBColorSpace;
-
-            object.traverse(function (child) {
-                if (child.isMesh) {
-                    child.material.map = chairTex; // Force assign texture
-                    child.castShadow = true;       // Chair casts shadow
-                    child.receiveShadow = true;    // Chair receives flashlight shadows
-                }
-            });
-
-            // 2. Positioning
-            // Player is at (0, 5, 5), so chair is placed at (0, 2.20, 5) on the floor
-            object.position.set(0, 2.20, 5);
-            
-            // 3. Rotation
-            // Math.PI (180 degrees) makes the chair face away from the window, showing the player's back (simulating the player just sat down)
-            // Or set to 0 to face the desk. Usually, chairs face the desk.
-            object.rotation.y = Math.PI; 
-
-            // 4. Scaling
-            // OBJ model units are usually inconsistent. Adjust here if the chair is too big or too small.
-            object.scale.set(2.0, 2.0, 2.0); 
-
-            scene.add(object);
-            
-        }, undefined, function(error) {
-            console.error("加载椅子出错:", error);
-        });
-    });
-    
-    // 3. Scene construction: modular room (solving "wall behind glass" and "door facing wall" issues)
-    
-    // --- A. Floor and ceiling ---
-    // Huge floor (including inside the room and outside the corridor)
-    const bigFloor = new THREE.Mesh(new THREE.PlaneGeometry(100, 100, 200, 200), floorMat);
-    bigFloor.rotation.x = -Math.PI / 2;
-    bigFloor.receiveShadow = true;
-    scene.add(bigFloor);
-
-    // Huge ceiling (prevent light leakage)
-    const hallCeiling = new THREE.Mesh(new THREE.PlaneGeometry(60, 60), wallMat);
-    hallCeiling.rotation.x = Math.PI / 2;
-    hallCeiling.position.set(0, 15, -5); // Cover the front corridor
-    scene.add(hallCeiling);
-
-    // --- B. Wall assembly ---
-    
-    // 1. Back wall (solid)
-    const backWall = new THREE.Mesh(new THREE.PlaneGeometry(30, 15, 100, 100), wallMat);
-    backWall.position.set(0, 7.5, 15);
-    backWall.rotation.y = Math.PI; // Facing inside the room
-    scene.add(backWall);
-
-    // 2. Front wall (with window opening)
-    // Room width 30 (-15 to 15), height 15. Window width 20 (-10 to 10), height 10 (from 5 to 15 above ground).
-    // We need to assemble 4 panels to surround this opening, or simply: left and right parts + low wall below window
-    
-    // Front wall - left part
-    const frontWallLeft = new THREE.Mesh(new THREE.PlaneGeometry(5, 15), wallMat);
-    frontWallLeft.position.set(-12.5, 7.5, -15);
-    scene.add(frontWallLeft);
-
-    // Front wall - right part 
-    const frontWallRight = new THREE.Mesh(new THREE.PlaneGeometry(5, 15), wallMat);
-    frontWallRight.position.set(12.5, 7.5, -15);
-    scene.add(frontWallRight);
-
-    // Front wall - low wall below window (y: 0 to 2)
-    const frontWallBottom = new THREE.Mesh(new THREE.PlaneGeometry(20, 2), concreteMat);
-    frontWallBottom.position.set(0, 1, -15);
-    scene.add(frontWallBottom);
-    
-    // Front wall - top beam above window (y: 12 to 15)
-    const frontWallTop = new THREE.Mesh(new THREE.PlaneGeometry(20, 3), concreteMat);
-    frontWallTop.position.set(0, 13.5, -15);
-    scene.add(frontWallTop);
-
-    // Real glass window
-    const glassGeo = new THREE.PlaneGeometry(20, 10);
-    const glassMat = new THREE.MeshPhysicalMaterial({ 
-    color: 0xffffff,        // use white to avoid ghost color distortion
-    transmission: 1.0,      // Full transmission (core to glass appearance)
-    opacity: 1.0,           // Since transmission is used, opacity should be set to 1
-    transparent: true,      // Must be enabled to trigger transmission
-    roughness: 0.0,         // The smoother, the clearer
-    metalness: 0.0,         // Glass is usually non-metallic
-    ior: 1.5,               // Index of refraction (glass is about 1.5)
-    thickness: 0.1,         // Adds a bit of thickness feel
-    side: THREE.DoubleSide
-    });
-    const windowPane = new THREE.Mesh(glassGeo, glassMat);
-    windowPane.position.set(0, 7, -15);
-    scene.add(windowPane);
-
-    // 3. Side walls (with door openings)
-    // Door width about 8, located around z = -5.
-    // Side walls are divided into: back half (solid) and front half (solid), with a gap in the middle for the door.
-
-    // Left wall (x = -15)
-    // Back half (z: 15 to -1)
-    const leftWallBack = new THREE.Mesh(new THREE.PlaneGeometry(16, 15, 100, 100), wallMat);
-    leftWallBack.rotation.y = Math.PI / 2;
-    leftWallBack.position.set(-15, 7.5, 7); // Center point calculation: (15 + -1)/2 = 7
-    scene.add(leftWallBack);
-    
-    // Front half (z: -9 to -15)
-    const leftWallFront = new THREE.Mesh(new THREE.PlaneGeometry(6, 15, 100, 100), wallMat);
-    leftWallFront.rotation.y = Math.PI / 2;
-    leftWallFront.position.set(-15, 7.5, -12);
-    scene.add(leftWallFront);
-
-    // Right wall (x = 15) - same logic
-    const rightWallBack = new THREE.Mesh(new THREE.PlaneGeometry(16, 15, 100, 100), wallMat);
-    rightWallBack.rotation.y = -Math.PI / 2;
-    rightWallBack.position.set(15, 7.5, 7);
-    scene.add(rightWallBack);
-
-    const rightWallFront = new THREE.Mesh(new THREE.PlaneGeometry(6, 15, 100, 100), wallMat);
-    rightWallFront.rotation.y = -Math.PI / 2;
-    rightWallFront.position.set(15, 7.5, -12);
-    scene.add(rightWallFront);
-
-    // --- C. External corridor structure ---
-    // To prevent players from seeing the void through the glass, add two walls to the corridor
-    const hallLeft = new THREE.Mesh(new THREE.PlaneGeometry(20, 15, 100, 100), wallMat);
-    hallLeft.rotation.y = Math.PI / 2;
-    hallLeft.position.set(-25, 7.5, -13);
-    scene.add(hallLeft);
-
-    const hallRight = new THREE.Mesh(new THREE.PlaneGeometry(20, 15, 100, 100), wallMat);
-    hallRight.rotation.y = -Math.PI / 2;
-    hallRight.position.set(25, 7.5, -13);
-    scene.add(hallRight);
-    
-    // Corridor end wall
-    const hallBack = new THREE.Mesh(new THREE.PlaneGeometry(50, 15, 100, 100), wallMat);
-    hallBack.position.set(0, 7.5, -35);
-    scene.add(hallBack);
-
-    // 4. Door system (placed in the side wall openings reserved earlier)
-    // Door center roughly at z = -5
-    // Pass in doorMat
-    leftDoor = createDoor(-15, doorMat);  
-    rightDoor = createDoor(15, doorMat);
-    // Right door does not need initial rotation, closed state is rotation.y = 0 
-
-    // 5. Lighting system
-    
-    // --- A. Ambient atmosphere (very dark) ---
-    // Fog changed to pure black to simulate deep darkness
-    scene.fog = new THREE.FogExp2(0x000000, 0.03); 
-    
-    // Ambient light set to very faint deep blue (moonlight feel), almost invisible, just to prevent shadows from becoming pitch black
-    const ambient = new THREE.AmbientLight(0x050510, 0.09); 
-    scene.add(ambient);
-
-    // --- B. Corridor light (ghost background light) ---
-    // Dimmed and limited range to make the ghost faintly visible in the distance
-    const hallLight = new THREE.PointLight(0x88ff88, 0.5, 20, 2); 
-    hallLight.position.set(0, 10, -20);
-    scene.add(hallLight);
-
-    // --- C. Flickering desk lamp inside the room ---
-    const lampGroup = new THREE.Group();
-    const shade = new THREE.Mesh(
-        new THREE.ConeGeometry(2, 1, 32, 1, true),
-        new THREE.MeshStandardMaterial({ color: 0x111111, side: THREE.DoubleSide })
-    );
-    shade.position.y = 14;
-    lampGroup.add(shade);
-    
-    bulbMat = new THREE.MeshBasicMaterial({ color: 0xffaa00 });
-    const bulb = new THREE.Mesh(new THREE.SphereGeometry(0.2), bulbMat); // Bulb made smaller
-    bulb.position.y = 13.5;
-    lampGroup.add(bulb);
-    scene.add(lampGroup);
-
-    // SpotLight instead of PointLight to simulate the lampshade's downward spotlight effect
-    ceilingLight = new THREE.SpotLight(0xffaa00, 0, 30, Math.PI / 6, 1, 1); //distance=30 (enough to reach the floor), decay=1 (physical decay)
-    ceilingLight.position.set(0, 13.5, 0);
-    ceilingLight.castShadow = true;
-    // Shadow bias to reduce artifacts
-    ceilingLight.shadow.bias = -0.0001; 
-    scene.add(ceilingLight);
-
-
-    // --- D. Player flashlight (core light source) ---
+    // 4. Player flashlight (core light source)
     flashLight = new THREE.SpotLight(0xffffff, 0); 
     flashLight.angle = Math.PI / 10; // Spotlight cone angle smaller, more focused (about 22 degrees)
     flashLight.penumbra = 0.2;      // Edges slightly softer to simulate a real flashlight
@@ -412,76 +209,158 @@ function init() {
 
     flashlightSystem = new FlashlightSystem(camera, flashLight);
 
-    initEnemy(scene);
+    // Flashlight exposure on the entities: real beam cone, falloff and occlusion by walls/doors
+    exposureSystem = new ExposureSystem(flashLight);
+    exposureSystem.setOccluders(level.occluders);
+    setEnemyExposure(exposureSystem);
+
+    // Facility power: doors, ceiling lamp and the flashlight charger share one pool
+    powerSystem = new PowerSystem();
+    powerSystem.onBlackout = onBlackout;
+    flashlightSystem.powerSupply = powerSystem;
+
+    // Night-vision goggles: see into the dark without lighting anything (separate battery)
+    nightVision = new NightVisionSystem(camera, scene);
+    nightVision.powerSupply = powerSystem;
+    postProcessing.addEffect(nightVision.pass);
+
+    // Front window: cracked by the teleporter if it is not lit in time
+    windowSystem = new WindowSystem(level.windows.office, scene);
+
+    // Ceiling vent: the vent crawler drops in through it unless the shutter is shut.
+    // The grate sits in the layout's ceiling, right under the duct's vent_grate nav node.
+    const grate = level.navGraph && getNode(level.navGraph, 'vent_grate');
+    const ceiling = (layout.surfaces || []).find(surface => surface.name === 'ceiling');
+    let ventPosition = null;
+    if (grate && ceiling) ventPosition = new THREE.Vector3(grate.x, ceiling.position[1], grate.z);
+    else console.warn("Layout has no vent_grate nav node or ceiling surface, the ceiling vent is left out");
+    ventSystem = new VentSystem(scene, ventPosition);
+
+    // Noise from doors and switches; the ghost listens
+    noiseSystem = new NoiseSystem();
+
+    // Security monitor with the corridor camera feeds
+    cctvSystem = new CCTVSystem();
+
+    // Positional audio (listener on the camera, door sounds at each door)
+    audioManager = new AudioManager(camera, scene);
+    audioManager.attachDoor('left', leftDoor);
+    audioManager.attachDoor('right', rightDoor);
+    if (level.windows.office) audioManager.attachWindow(level.windows.office);
+    if (ventSystem.position) audioManager.attachVent(scene, ventSystem.position);
+
+    initEnemy(scene, null, assets.manager);
     setupInputs();
+    assets.start(); // Shows the campaign menu once loading is done
     window.addEventListener('resize', onWindowResize, false);
-}
 
-function createDoor(xPos, material) { // Add material parameter
-    const doorGroup = new THREE.Group();
-    
-    // Door panel width 8, height 14, thickness 1
-    // UV mapping of BoxGeometry can sometimes stretch on the sides, but usually works fine for mesh textures
-    const doorGeo = new THREE.BoxGeometry(1, 14, 8);
-    
-    // Use the passed-in PBR material, or default if not provided (to prevent errors)
-    const useMat = material || new THREE.MeshStandardMaterial({ color: 0x333333 });
-    
-    const doorMesh = new THREE.Mesh(doorGeo, useMat);
-    
-    // Enable shadows
-    doorMesh.castShadow = true;
-    doorMesh.receiveShadow = true;
-
-    if (xPos < 0) {
-        doorMesh.position.z = 4;
-    } else {
-        doorMesh.position.z = 4;
-    }
-    
-    doorGroup.add(doorMesh);
-    doorGroup.position.set(xPos, 6, -1);
-    scene.add(doorGroup);
-    return doorGroup;
+    if (DEBUG_MEMORY) document.getElementById('memory-debug').style.display = 'block';
 }
 
 function setupInputs() {
 
     const overlay = document.getElementById('overlay');
     overlay.addEventListener('click', () => { 
-        // if is Game Over, restart instead of locking pointer
-        if (gameState.isGameOver) {
+        // if is Game Over (or the shift is complete), restart instead of locking pointer
+        if (gameState.isGameOver || gameState.isShiftComplete) {
             restartGame();
             return; // end here
         }
+
+        // In the campaign menu a night has to be picked with the buttons first
+        if (!gameState.night) return;
+
+        audioManager.resume();
         
-        // only when not in Game Over state (i.e., in the start menu), click to lock the mouse and start the game
+        // only when not in Game Over state (i.e., paused mid-night), click to lock the mouse and resume
         document.body.requestPointerLock(); 
     });
 
+    // --- Campaign menu buttons ---
+    document.getElementById('menu-continue').addEventListener('click', (e) => {
+        e.stopPropagation();
+        startNight(progress.currentNight);
+    });
+
+    document.getElementById('menu-new-game').addEventListener('click', (e) => {
+        e.stopPropagation();
+        resetProgress(progress);
+        startNight(1);
+    });
+
+    document.getElementById('menu-night-6').addEventListener('click', (e) => {
+        e.stopPropagation();
+        startNight(6);
+    });
+
     document.addEventListener('pointerlockchange', () => {
+        if (deathSequence) return; // The game over screen comes up when the sequence ends
         if (document.pointerLockElement === document.body) {
             gameState.isPlaying = true;
             overlay.style.display = 'none';
+            audioManager.resume();
         } else {
             gameState.isPlaying = false;
             overlay.style.display = 'flex';
+            audioManager.suspend();
             // Only show PAUSED when the game is not over
-            if (!gameState.isGameOver) {
+            if (!gameState.isGameOver && !gameState.isShiftComplete) {
                 document.getElementById('overlay-text').innerText = "PAUSED";
             }
         }
     });
     document.addEventListener('mousemove', (event) => {
-        if (!gameState.isPlaying) return;
+        if (!gameState.isPlaying || cctvSystem.isActive) return;
         camera.rotation.y -= event.movementX * 0.002;
         camera.rotation.x -= event.movementY * 0.002;
         camera.rotation.x = Math.max(-1, Math.min(1, camera.rotation.x));
     });
 
     document.addEventListener('keydown', (e) => {
+        if (deathSequence) {
+            if (deathSequence.skippable) finishDeathSequence();
+            return;
+        }
         if (!gameState.isPlaying || gameState.isGameOver) return;
 
+        // --- Security monitor (C), camera select (1-4) ---
+        if (e.code === 'KeyC') {
+            setMonitorActive(!cctvSystem.isActive);
+        }
+        if (cctvSystem.isActive && e.code.startsWith('Digit')) {
+            cctvSystem.switchTo(Number(e.code.slice(5)) - 1);
+        }
+
+        // --- Door repair (hold R while looking at a broken door) ---
+        if (e.code === 'KeyR') {
+            repairKeyHeld = true;
+        }
+
+        // --- Night-vision goggles (N) ---
+        if (e.code === 'KeyN') {
+            nightVision.toggle();
+            audioManager.playClick();
+            noiseSystem.add('flashlightClick');
+        }
+
+        // --- Ceiling lamp switch (L) ---
+        if (e.code === 'KeyL') {
+            powerSystem.toggleLamp();
+        }
+
+        // --- Ceiling vent shutter (V, only while looking up at the grate) ---
+        if (e.code === 'KeyV') {
+            if (!ventSystem.isLookedAt(camera)) {
+                console.log("Look up at the vent to reach the shutter.");
+            } else if (!ventSystem.isShut && powerSystem.isBlackout) {
+                console.log("No power! Vent shutter cannot close.");
+            } else {
+                ventSystem.toggle();
+                audioManager.playClick();
+                noiseSystem.add('ventShutter');
+            }
+        }
+
         // --- Left door control (Q) ---
         if(e.code === 'KeyQ') { 
             // 1. If the door is already broken, key press is invalid, issue a warning
@@ -490,17 +369,23 @@ function setupInputs() {
                 return;
             }
 
-            // 2. Check if trying to close the door on the ghost
-            // Logic: currently open (gameState.leftOpen) + ghost is blocking the door (isGhostBlockingDoor)
-            if (gameState.leftOpen && isGhostBlockingDoor('left')) {
-                triggerDoorBreak('left'); // Trigger break logic
-            } else {
-                // Normal open/close door
-                gameState.leftOpen = !gameState.leftOpen;
-                // Mutual exclusion logic (keep as is)
-                if (!gameState.leftOpen && !gameState.rightOpen) gameState.rightOpen = true;
-                updateDoorVisuals(); 
+            // Closing a door needs facility power
+            if (gameState.leftOpen && powerSystem.isBlackout) {
+                console.log("No power! Left door cannot close.");
+                return;
             }
+
+            // 2. Normal open/close door: the panel swings there in updateDoorMotion()
+            // (closing it on the ghost is detected during the swing)
+            gameState.leftOpen = !gameState.leftOpen;
+            audioManager.playDoor('left', gameState.leftOpen ? 'open' : 'close');
+            noiseSystem.add('doorToggle', 'left');
+            // Mutual exclusion logic (keep as is)
+            if (!gameState.leftOpen && !gameState.rightOpen) {
+                gameState.rightOpen = true;
+                audioManager.playDoor('right', 'open');
+            }
+            updateDoorVisuals(); 
         }
 
         // --- Right door control (E) ---
@@ -510,32 +395,55 @@ function setupInputs() {
                 return;
             }
 
-            if (gameState.rightOpen && isGhostBlockingDoor('right')) {
-                triggerDoorBreak('right');
-            } else {
-                gameState.rightOpen = !gameState.rightOpen;
-                if (!gameState.rightOpen && !gameState.leftOpen) gameState.leftOpen = true;
-                updateDoorVisuals(); 
+            if (gameState.rightOpen && powerSystem.isBlackout) {
+                console.log("No power! Right door cannot close.");
+                return;
+            }
+
+            gameState.rightOpen = !gameState.rightOpen;
+            audioManager.playDoor('right', gameState.rightOpen ? 'open' : 'close');
+            noiseSystem.add('doorToggle', 'right');
+            if (!gameState.rightOpen && !gameState.leftOpen) {
+                gameState.leftOpen = true;
+                audioManager.playDoor('left', 'open');
             }
+            updateDoorVisuals(); 
         }
     });
 
+    document.addEventListener('keyup', (e) => {
+        if (e.code === 'KeyR') repairKeyHeld = false;
+    });
+
     // --- Mouse click controls flashlight model ---
+    // (hands are busy while repairing a door or watching the monitor)
     document.addEventListener('mousedown', (e) => { 
-        if(gameState.isPlaying) {
+        if (deathSequence) {
+            if (deathSequence.skippable) finishDeathSequence();
+            return;
+        }
+        if(gameState.isPlaying && !gameState.repairingSide && !cctvSystem.isActive) {
             // Trigger button press animation
             flashlightSystem.pressButton();
         }
     });
 
     document.addEventListener('mouseup', () => { 
-        if(gameState.isPlaying) {
+        if(gameState.isPlaying && !gameState.repairingSide && !cctvSystem.isActive) {
             // Trigger button release animation and toggle switch
             flashlightSystem.releaseButton();
+            audioManager.playClick();
+            noiseSystem.add('flashlightClick');
         }
     });
 }
 
+// Raise / lower the security monitor
+function setMonitorActive(active) {
+    if (active !== cctvSystem.isActive) cctvSystem.toggle();
+    document.getElementById('crosshair').style.display = active ? 'none' : '';
+}
+
 function triggerDoorBreak(side) {
     console.log(`CRITICAL: ${side} DOOR BROKEN!`);
     
@@ -544,140 +452,393 @@ function triggerDoorBreak(side) {
     if (side === 'right') gameState.rightBroken = true;
 
     // 2. The door is forced to remain "open" (because it's broken and can't be closed)
-    if (side === 'left') gameState.leftOpen = true;
-    if (side === 'right') gameState.rightOpen = true;
+    if (side === 'left') { gameState.leftOpen = true; gameState.leftClosure = 0; }
+    if (side === 'right') { gameState.rightOpen = true; gameState.rightClosure = 0; }
 
-    // 3. Notify the ghost to retreat
-    onGhostHitByDoor();
+    // A new break starts the repair from scratch
+    if (side === 'left') gameState.leftRepair = 0;
+    if (side === 'right') gameState.rightRepair = 0;
+
+    // 3. Notify the entity at that door to retreat
+    onGhostHitByDoor(side);
+    audioManager.playDoor(side, 'slam');
+    noiseSystem.add('doorBreak', side);
 
     // 4. Update visuals
     updateDoorVisuals();
+    postProcessing.burst(SCREEN_FX_CONFIG.doorBreakBurst);
 
     // 5. Screen shake feedback (simulate impact)
-    const shakeIntensity = 0.5;
-    const startShake = Date.now();
-    
-    // Save original position
-    const originalX = camera.position.x;
-    const originalY = camera.position.y;
-    
-    const shakeInterval = setInterval(() => {
-        const elapsed = Date.now() - startShake;
-        if (elapsed > 500) { // Shake for 0.5 seconds
-            clearInterval(shakeInterval);
-            // Restore to original position
-            camera.position.x = originalX;
-            camera.position.y = originalY;
-            return;
-        }
-        // Shake around original position
-        camera.position.x = originalX + (Math.random() - 0.5) * shakeIntensity;
-        camera.position.y = originalY + (Math.random() - 0.5) * shakeIntensity;
-    }, 16);
+    cameraEffects.shake(SCREEN_FX_CONFIG.doorBreakShake);
+    cameraEffects.punchFov(SCREEN_FX_CONFIG.doorBreakFovPunch);
 }
 
 function updateDoorVisuals() {
     // Helper function: handle visual state of a single door
-    const updateSingleDoor = (doorGroup, isOpen, isBroken, sideMultiplier) => {
+    // repairProgress (0..1) animates a broken door from its tilted pose back to working (open)
+    const updateSingleDoor = (doorGroup, closure, isBroken, repairProgress, sideMultiplier) => {
         if (isBroken) {
             // --- Broken state ---
-            // 1. Door appears half-open and stuck (45 degrees)
+            // 1. Door appears half-open and stuck (45 degrees), swinging back to open as it is repaired
             // sideMultiplier: 1 for left door, -1 for right door, controls rotation direction
-            doorGroup.rotation.y = sideMultiplier * (Math.PI / 4); 
+            const t = 1 - repairProgress;
+            doorGroup.rotation.y = sideMultiplier * (Math.PI / 4) * t; 
             
             // 2. Door panel is tilted (simulate hinge break)
-            doorGroup.rotation.z = sideMultiplier * 0.1; // Slightly tilted
-            doorGroup.position.y = 5.8; // Slightly dropped (original height is 6)
+            doorGroup.rotation.z = sideMultiplier * 0.1 * t; // Slightly tilted
+            doorGroup.position.y = doorGroup.userData.restY - 0.2 * t; // Slightly dropped
 
         } else {
             // --- Normal state ---
             // Restore position and Z-axis rotation (in case previously broken and game reset)
             doorGroup.rotation.z = 0;
-            doorGroup.position.y = 6;
+            doorGroup.position.y = doorGroup.userData.restY;
             doorGroup.children[0].material.color.setHex(0xffffff);
 
-            // Normal open/close logic
+            // Normal open/close logic, following the current (eased) swing
             // Left door closed: -PI, Right door closed: PI
             const closedRot = sideMultiplier * -Math.PI;
-            doorGroup.rotation.y = isOpen ? 0 : closedRot;
+            doorGroup.rotation.y = easeInOutCubic(closure) * closedRot;
         }
     };
 
-    // Update left door (sideMultiplier = 1)
-    // Left door closed: -PI
-    updateSingleDoor(leftDoor, gameState.leftOpen, gameState.leftBroken, 1);
+    // Update left door (sideMultiplier = 1, closed: -PI)
+    updateSingleDoor(leftDoor, gameState.leftClosure, gameState.leftBroken, gameState.leftRepair, 1);
 
-    // Update right door (sideMultiplier = -1)
-    // Note: original logic right door closed is PI.
-    // To reuse the function, we can pass isOpen ? 0 : Math.PI, or write manually:
-    
-    if (gameState.rightBroken) {
-        rightDoor.rotation.y = -Math.PI / 4; // Tilted to one side
-        rightDoor.rotation.z = -0.1;
-        rightDoor.position.y = 5.8;
-        rightDoor.children[0].material.color.setHex(0xffffff);
-    } else {
-        rightDoor.rotation.z = 0;
-        rightDoor.position.y = 6;
-        rightDoor.children[0].material.color.setHex(0xffffff); 
-        rightDoor.rotation.y = gameState.rightOpen ? 0 : Math.PI;
-    }
+    // Update right door (sideMultiplier = -1, closed: PI)
+    updateSingleDoor(rightDoor, gameState.rightClosure, gameState.rightBroken, gameState.rightRepair, -1);
 
     // Update UI
-    const uiLeft = document.getElementById('status-left');
-    const uiRight = document.getElementById('status-right');
-    
-    // Update left UI
-    if (gameState.leftBroken) {
-        uiLeft.className = 'door-status open'; // Style uses red "open"
-        uiLeft.innerText = "BROKEN";           // Text shows broken
-        uiLeft.style.color = "#880000";        // Dark red text
-        uiLeft.style.borderColor = "#880000";
-    } else {
-        uiLeft.style.color = ""; // Restore default
-        uiLeft.style.borderColor = "";
-        uiLeft.className = `door-status ${gameState.leftOpen ? 'open' : 'closed'}`;
-        uiLeft.innerText = gameState.leftOpen ? "OPEN" : "CLOSED";
+    const updateSingleUI = (side, isOpen, closure, isBroken, repairProgress) => {
+        const ui = document.getElementById(`status-${side}`);
+        const repairBar = document.getElementById(`repair-${side}`);
+
+        if (isBroken) {
+            const isRepairing = gameState.repairingSide === side;
+            ui.className = 'door-status open';    // Style uses red "open"
+            ui.innerText = isRepairing ? "REPAIRING" : "BROKEN"; // Text shows broken
+            ui.style.color = "#880000";           // Dark red text
+            ui.style.borderColor = "#880000";
+
+            // Repair progress bar on the door panel
+            repairBar.parentElement.style.display = 'block';
+            repairBar.style.width = `${Math.floor(repairProgress * 100)}%`;
+        } else {
+            ui.style.color = ""; // Restore default
+            ui.style.borderColor = "";
+            ui.className = `door-status ${isOpen ? 'open' : 'closed'}`;
+            const target = isOpen ? 0 : 1;
+            if (closure !== target) ui.innerText = isOpen ? "OPENING" : "CLOSING"; // Still swinging
+            else ui.innerText = isOpen ? "OPEN" : "CLOSED";
+            repairBar.parentElement.style.display = 'none';
+        }
+    };
+
+    updateSingleUI('left', gameState.leftOpen, gameState.leftClosure, gameState.leftBroken, gameState.leftRepair);
+    updateSingleUI('right', gameState.rightOpen, gameState.rightClosure, gameState.rightBroken, gameState.rightRepair);
+}
+
+function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+// --- Door motion ---
+// Called every frame while playing: swings each door towards its commanded state
+function updateDoorMotion(dt) {
+    const step = dt / DOOR_CONFIG.swingTime;
+    let moved = false;
+
+    const swing = (side, closure, isOpen) => {
+        const target = isOpen ? 0 : 1;
+        if (closure === target) return closure;
+        moved = true;
+        const next = closure < target ? Math.min(closure + step, target) : Math.max(closure - step, target);
+        if (next === 1) {
+            // Hits the frame
+            audioManager.playDoor(side, 'shut');
+            noiseSystem.add('doorSlam', side);
+        }
+        return next;
+    };
+
+    if (!gameState.leftBroken) gameState.leftClosure = swing('left', gameState.leftClosure, gameState.leftOpen);
+    if (!gameState.rightBroken) gameState.rightClosure = swing('right', gameState.rightClosure, gameState.rightOpen);
+
+    // A closing door that swings into the ghost standing in the doorway breaks on it
+    if (!gameState.leftOpen && gameState.leftClosure >= DOOR_CONFIG.hitClosure && isGhostBlockingDoor('left')) {
+        triggerDoorBreak('left');
+    }
+    if (!gameState.rightOpen && gameState.rightClosure >= DOOR_CONFIG.hitClosure && isGhostBlockingDoor('right')) {
+        triggerDoorBreak('right');
     }
 
-    // Update right UI
-    if (gameState.rightBroken) {
-        uiRight.className = 'door-status open';
-        uiRight.innerText = "BROKEN";
-        uiRight.style.color = "#880000";
-        uiRight.style.borderColor = "#880000";
-    } else {
-        uiRight.style.color = "";
-        uiRight.style.borderColor = "";
-        uiRight.className = `door-status ${gameState.rightOpen ? 'open' : 'closed'}`;
-        uiRight.innerText = gameState.rightOpen ? "OPEN" : "CLOSED";
+    if (moved) updateDoorVisuals();
+}
+
+// --- Door repair ---
+// Returns the broken door the player is looking at ('left' / 'right'), or null
+function getLookedAtBrokenDoor() {
+    const camDir = new THREE.Vector3();
+    camera.getWorldDirection(camDir);
+
+    const candidates = [
+        { side: 'left', broken: gameState.leftBroken, doorway: doorways.left },
+        { side: 'right', broken: gameState.rightBroken, doorway: doorways.right }
+    ];
+
+    for (const door of candidates) {
+        if (!door.broken || !door.doorway) continue;
+        const toDoor = door.doorway.clone().sub(camera.position).normalize();
+        if (camDir.dot(toDoor) > REPAIR_CONFIG.lookDot) return door.side;
+    }
+    return null;
+}
+
+// Called every frame while playing: advances the repair of the door the player is working on
+function updateDoorRepair(dt) {
+    const side = repairKeyHeld ? getLookedAtBrokenDoor() : null;
+
+    if (side !== gameState.repairingSide) {
+        gameState.repairingSide = side;
+        // Both hands on the door: the flashlight goes off
+        if (side && flashlightSystem.isOn) flashlightSystem.toggle();
+        updateDoorVisuals();
     }
+    if (!side) return;
+
+    // The ghost turning up at this door ruins the repair
+    if (isGhostAtDoor(side)) {
+        console.log(`REPAIR FAILED: ghost at the ${side} door!`);
+        if (side === 'left') gameState.leftRepair = 0;
+        if (side === 'right') gameState.rightRepair = 0;
+        gameState.repairingSide = null;
+        repairKeyHeld = false; // Key has to be pressed again
+        updateDoorVisuals();
+        return;
+    }
+
+    const step = dt / REPAIR_CONFIG.duration;
+    if (side === 'left') gameState.leftRepair = Math.min(gameState.leftRepair + step, 1);
+    if (side === 'right') gameState.rightRepair = Math.min(gameState.rightRepair + step, 1);
+
+    const doorProgress = side === 'left' ? gameState.leftRepair : gameState.rightRepair;
+    if (doorProgress >= 1) {
+        console.log(`${side} door repaired.`);
+        if (side === 'left') { gameState.leftBroken = false; gameState.leftRepair = 0; gameState.leftOpen = true; }
+        if (side === 'right') { gameState.rightBroken = false; gameState.rightRepair = 0; gameState.rightOpen = true; }
+        gameState.repairingSide = null;
+    }
+
+    updateDoorVisuals();
 }
 
-function onGameOver() {
+// death: { archetype, side } of the entity that got in (see the 'caught' event in enemy.js)
+function onGameOver(death = {}) {
+    if (gameState.isGameOver) return; // Two entities in the same frame
     console.log("GAME OVER!");
+    setMonitorActive(false);
     gameState.isPlaying = false;
     gameState.isGameOver = true;
+
+    deathSequence = { time: 0, cause: getDeathCause(death), skippable: progress.deathSceneSeen };
+    console.log(`Cause of death: ${deathSequence.cause}`);
+
+    // Nothing to show (model missing): straight to the dying signal
+    if (!startJumpscare(camera)) deathSequence.time = DEATH_CONFIG.lungeTime;
+}
+
+// Why the player died, for the game over screen
+function getDeathCause(death) {
+    if (!death.side) return "UNKNOWN";
+    const places = { window: "CRACKED WINDOW", vent: "CEILING VENT" };
+    const place = places[death.side] || `${death.side.toUpperCase()} DOOR`;
+    if (death.side !== 'window') {
+        if (powerSystem.isBlackout) return "FACILITY POWER DEPLETED";
+        if (gameState[`${death.side}Broken`]) return `${place} BROKEN`;
+    }
+
+    // The teleporter is only stopped by light
+    if (death.archetype === 'teleporter') {
+        if (flashlightSystem.isDepleted) return "FLASHLIGHT DEPLETED";
+        if (flashlightSystem.isFailing) return "FLASHLIGHT FAILING";
+        return `ENTITY AT ${place} NOT LIT IN TIME`;
+    }
+    return `${place} LEFT OPEN`;
+}
+
+// Jumpscare while the killer rushes the lens, then the signal dies
+function updateDeathSequence(dt) {
+    deathSequence.time += dt;
+    const lunge = Math.min(deathSequence.time / DEATH_CONFIG.lungeTime, 1);
+
+    if (lunge < 1) {
+        updateJumpscare(camera, lunge);
+        postProcessing.burst(THREE.MathUtils.lerp(DEATH_CONFIG.glitch, 1, lunge));
+    } else {
+        postProcessing.loseSignal();
+    }
+
+    if (deathSequence.time >= DEATH_CONFIG.lungeTime + DEATH_CONFIG.signalLossTime) finishDeathSequence();
+}
+
+// Sequence over (or skipped): the terminal takes over
+function finishDeathSequence() {
+    const cause = deathSequence.cause;
+    deathSequence = null;
+
+    if (!progress.deathSceneSeen) {
+        progress.deathSceneSeen = true;
+        saveProgress(progress);
+    }
+
     document.exitPointerLock();
+    audioManager.suspend();
     const overlay = document.getElementById('overlay');
     const overlayText = document.getElementById('overlay-text');
+    const causeEl = document.getElementById('death-cause');
     overlay.style.display = 'flex';
+    causeEl.innerText = `CAUSE: ${cause}`;
+    causeEl.style.display = 'block';
     overlayText.innerText = "GAME OVER - Click to Restart";
     overlayText.style.color = "red";
 }
 
+// The teleporter was not lit in time at the window: the pane cracks (next time it comes through)
+function onWindowCracked() {
+    console.log("Window CRACKED!");
+    gameState.windowCracked = true;
+    windowSystem.crack();
+    audioManager.playGlassCrack();
+    postProcessing.burst(SCREEN_FX_CONFIG.windowCrackBurst);
+    cameraEffects.shake(SCREEN_FX_CONFIG.windowCrackShake);
+}
+
+// Facility power ran out: every door is forced open and the ceiling lamp dies
+function onBlackout() {
+    gameState.leftOpen = true;
+    gameState.rightOpen = true;
+    ventSystem.open();
+    updateDoorVisuals();
+}
+
+function onShiftComplete() {
+    console.log("SHIFT COMPLETE!");
+    gameState.isPlaying = false;
+    gameState.isShiftComplete = true;
+    completeNight(progress, gameState.night);
+    document.exitPointerLock();
+    const overlay = document.getElementById('overlay');
+    const overlayText = document.getElementById('overlay-text');
+    overlay.style.display = 'flex';
+    overlayText.innerText = "SHIFT COMPLETE - Click to Restart";
+    overlayText.style.color = "";
+}
+
+// --- Campaign ---
+// Show the terminal menu with "Continue Night N" / "New Game"
+// Loading bar in the terminal prompt while the assets come in
+function showLoadingProgress(loaded, total) {
+    const width = 20;
+    const filled = total > 0 ? Math.round((loaded / total) * width) : 0;
+    const bar = '#'.repeat(filled) + '-'.repeat(width - filled);
+    document.getElementById('overlay-text').innerText = `> LOADING ASSETS [${bar}] ${loaded}/${total} <`;
+}
+
+function showCampaignMenu() {
+    document.getElementById('menu-continue').innerText = `> CONTINUE NIGHT ${progress.currentNight} <`;
+    document.getElementById('menu-night-6').style.display =
+        progress.night6Unlocked && progress.currentNight !== 6 ? 'block' : 'none';
+    document.getElementById('campaign-menu').style.display = 'block';
+    // A fixed ?seed= is announced up front; otherwise the last night's seed stays visible for bug reports
+    if (urlSeed !== null) {
+        document.getElementById('seed-label').innerText = `SEED: ${formatSeed(urlSeed)} [FIXED]`;
+    }
+    document.getElementById('overlay-text').innerText = "SELECT A NIGHT TO START";
+}
+
+// Load a night's AI profile and begin playing it
+function startNight(number) {
+    const night = getNight(number);
+    gameState.night = night.night;
+
+    // Seed every gameplay roll for this night
+    setSeed(urlSeed !== null ? urlSeed : randomSeed());
+    document.getElementById('seed-label').innerText = `SEED: ${formatSeed(getSeed())}`;
+    console.log(`Night seed: ${formatSeed(getSeed())}`);
+    setEnemyProfile(night.profile);
+    spawnEnemies(night.entities);
+    resetEnemy();
+
+    document.getElementById('night-label').innerText = `NIGHT ${night.night}`;
+    document.getElementById('campaign-menu').style.display = 'none';
+    console.log(`Starting night ${night.night}`);
+
+    // Called from a click, so the browser lets audio start here
+    audioManager.resume();
+    document.body.requestPointerLock();
+}
+
+// --- Night shift clock ---
+// Maps real play time onto the 00:00 - 06:00 shift and drives the #clock header
+function updateShiftClock(dt) {
+    gameState.shiftTime += dt;
+
+    const progress = Math.min(gameState.shiftTime / SHIFT_CONFIG.realDuration, 1.0);
+    const gameMinutes = Math.floor(progress * SHIFT_CONFIG.hours * 60);
+    const hour = Math.floor(gameMinutes / 60);
+
+    // Hour boundary: the ghost becomes more aggressive as the night goes on
+    if (hour !== gameState.hour) {
+        gameState.hour = hour;
+        setEnemyAggression(1.0 + hour * SHIFT_CONFIG.aggressionPerHour);
+        console.log(`It's now 0${hour}:00`);
+    }
+
+    renderShiftClock(gameMinutes);
+
+    if (progress >= 1.0) {
+        onShiftComplete();
+    }
+}
+
+function renderShiftClock(gameMinutes) {
+    const hh = String(Math.floor(gameMinutes / 60)).padStart(2, '0');
+    const mm = String(gameMinutes % 60).padStart(2, '0');
+    const text = `${hh}:${mm}`;
+
+    // Only touch the DOM when the displayed minute changes
+    const clockEl = document.getElementById('clock');
+    if (clockEl.innerText !== text) clockEl.innerText = text;
+}
+
 function restartGame() {
     console.log("Restarting game...");
     gameState.isGameOver = false;
+    gameState.isShiftComplete = false;
     gameState.isPlaying = false;
     gameState.leftOpen = true;
     gameState.rightOpen = true;
+    gameState.leftClosure = 0;
+    gameState.rightClosure = 0;
 
     gameState.leftBroken = false;
     gameState.rightBroken = false;
-
-    camera.position.set(0, 5, 5);
+    gameState.windowCracked = false;
+    gameState.ventShut = false;
+    gameState.leftRepair = 0;
+    gameState.rightRepair = 0;
+    gameState.repairingSide = null;
+    repairKeyHeld = false;
+
+    // Back to 00:00
+    gameState.shiftTime = 0;
+    gameState.hour = 0;
+    setEnemyAggression(1.0);
+    renderShiftClock(0);
+
+    cameraEffects.reset(); // Back on the seat pose
     camera.rotation.set(0, 0, 0);
+    lastGhostPhase = 'wander';
     
     // Restore UI styles
     const uiLeft = document.getElementById('status-left');
@@ -685,23 +846,34 @@ function restartGame() {
     uiLeft.style.color = ""; uiLeft.style.borderColor = "";
     uiRight.style.color = ""; uiRight.style.borderColor = "";
     
-    //reset flashlight battery
-    flashlightSystem.battery = 6;
-    flashlightSystem.isDepleted = false;
-    if(flashlightSystem.isOn) flashlightSystem.toggle(); // Turn off
+    setMonitorActive(false);
+
+    // Restore facility power (lamp back on)
+    powerSystem.reset();
+
+    flashlightSystem.reset();
+    nightVision.reset();
+    noiseSystem.reset();
     
     resetEnemy();
     updateDoorVisuals();
+    windowSystem.reset();
+    ventSystem.reset();
+    postProcessing.reset();
     
+    // Back to the campaign menu (Continue offers the next night after a win)
+    gameState.night = 0;
+    document.getElementById('death-cause').style.display = 'none';
     const overlayText = document.getElementById('overlay-text');
-    overlayText.innerText = "CLICK TO START";
     overlayText.style.color = "red";
+    showCampaignMenu();
 }
 
 function onWindowResize() {
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
     renderer.setSize(window.innerWidth, window.innerHeight);
+    postProcessing.setSize(window.innerWidth, window.innerHeight);
 }
 
 function animate() {
@@ -709,10 +881,14 @@ function animate() {
     const dt = clock.getDelta();
     const time = clock.getElapsedTime();
 
-    // Light flicker logic
-    if (Math.random() > 0.95) {
+    // Light flicker logic (only while the lamp has power and is switched on;
+    // the vent shutter motor shares its circuit, so it is dark while the shutter is shut)
+    if (!powerSystem.lampOn || ventSystem.isShut) {
+        ceilingLight.intensity = 0;
+        bulbMat.color.setHex(0x111111);
+    } else if (random('flicker') > 0.95) {
         // Flicker dim
-        ceilingLight.intensity = Math.random() * 5; // When dim
+        ceilingLight.intensity = random('flicker') * 5; // When dim
         bulbMat.color.setHex(0x331100);
     } else {
         // Normal brightness (because decay:1 is used, intensity needs to be around 20-50 to be bright enough)
@@ -721,19 +897,103 @@ function animate() {
     }
 
     // Update flashlight system (battery, animation)
-    // Note: we have handed over the state management of gameState.flashlightOn to flashlightSystem.isOn
+    // Note: we have handed over the state management of gameState.flashlightOn to flashlightSystem
+    // (isBeamOn: a failing battery cuts the beam out even while it is switched on)
     if (flashlightSystem) {
-        flashlightSystem.update(dt);
+        flashlightSystem.update(dt, gameState.isPlaying && !gameState.isGameOver);
         
         // Sync the flashlight on/off state back to gameState for Enemy.js to read
         // Because enemy.js uses gameState.flashlightOn to determine if it is illuminated
-        gameState.flashlightOn = flashlightSystem.isOn; 
+        gameState.flashlightOn = flashlightSystem.isBeamOn; 
+        gameState.flashlightFailing = flashlightSystem.isFailing;
+        gameState.flashBurst = flashlightSystem.takeBurst();
+        if (gameState.flashBurst) postProcessing.burst(0.4);
+    }
+
+    // Night vision: the flashlight beam blinds the intensifier tube
+    nightVision.update(dt, time, gameState.isPlaying && !gameState.isGameOver);
+    if (gameState.flashlightOn && nightVision.flare()) {
+        console.log("Night vision FLARE: flashlight blinded the goggles!");
+        audioManager.playFlare();
+        postProcessing.burst(0.6);
+        cameraEffects.shake(SCREEN_FX_CONFIG.flareShake);
     }
 
     if (gameState.isPlaying && !gameState.isGameOver) {
+        // Noise decays; a loud spike is handed to the ghost once
+        noiseSystem.update(dt);
+        gameState.noise = noiseSystem.level;
+        gameState.noiseSpike = noiseSystem.takeSpike();
+
+        gameState.ventShut = ventSystem.isSealed;
+
         // --- Pass flashLight parameter ---
         updateEnemy(dt, camera, flashLight, gameState, onGameOver);
+        if (takeWindowCrack()) onWindowCracked();
+    }
+    windowSystem.update(dt, gameState.isPlaying && !gameState.isGameOver, isGhostAtWindow());
+
+    // Clock and facility power only run while the night is actually being played
+    if (gameState.isPlaying && !gameState.isGameOver) {
+        const closedDoors = (gameState.leftOpen ? 0 : 1) + (gameState.rightOpen ? 0 : 1);
+        powerSystem.update(dt, closedDoors, ventSystem.isShut);
+        updateDoorMotion(dt);
+        updateDoorRepair(dt);
+        updateShiftClock(dt);
+    }
+
+    if (deathSequence) updateDeathSequence(dt);
+
+    // Sound: ghost whispers/footsteps follow the simulation, the room hum follows the lamp
+    // Scraping and falling dust while something crawls towards the ceiling vent
+    const lampLevel = Math.min(ceilingLight.intensity / 65, 1);
+    const ventThreat = getGhostVentThreat();
+    audioManager.update(dt, getGhostPosition(), getGhostPhase(), lampLevel, ventThreat);
+    ventSystem.update(dt, gameState.isPlaying && !gameState.isGameOver, ventThreat, lampLevel);
+
+    // Camera effects on the seat pose; a scare punch when the lead entity turns up at a door
+    const threat = getScreenThreat();
+    const ghostPhase = getGhostPhase();
+    if (ghostPhase === 'stalk' && lastGhostPhase !== 'stalk') cameraEffects.punchFov(SCREEN_FX_CONFIG.stalkFovPunch);
+    lastGhostPhase = ghostPhase;
+    cameraEffects.update(dt, gameState.isPlaying && !gameState.isGameOver, threat, ghostPhase === 'stalk');
+
+    // Either the first-person view or the active security camera feed
+    if (cctvSystem.isActive) {
+        cctvSystem.update(dt, time, getEnemyPositions());
+        cctvSystem.render(renderer, scene);
+    } else {
+        postProcessing.update(dt, time, threat);
+        postProcessing.render();
     }
 
-    renderer.render(scene, camera);
+    if (DEBUG_MEMORY) renderMemoryDebug();
+}
+
+// Learned door preferences, one column per door
+function renderMemoryDebug() {
+    const memory = getGhostMemory();
+    const row = (label, values, digits) =>
+        `${label.padEnd(12)}${values.left.toFixed(digits).padStart(7)}${values.right.toFixed(digits).padStart(7)}`;
+    const text = [
+        `${'GHOST MEMORY'.padEnd(12)}${'L'.padStart(7)}${'R'.padStart(7)}`,
+        row('CLOSED s', memory.closedTime, 1),
+        row('AIMED s', memory.aimTime, 1),
+        row('REACTION s', memory.reactions, 2),
+        row('NEGLECT', memory.neglect, 2),
+        row('WEIGHT', memory.weights, 2)
+    ].join('\n');
+
+    const el = document.getElementById('memory-debug');
+    if (el.textContent !== text) el.textContent = text;
+}
+
+// How close the lead entity is while it stalks or attacks, 0..1 (drives the screen distortion)
+function getScreenThreat() {
+    const phase = getGhostPhase();
+    const position = getGhostPosition();
+    if (!position || (phase !== 'stalk' && phase !== 'attack')) return 0;
+
+    const distance = Math.hypot(position.x - camera.position.x, position.z - camera.position.z);
+    return THREE.MathUtils.clamp(1 - distance / SCREEN_FX_CONFIG.threatRange, 0, 1);
 }
\ No newline at end of file
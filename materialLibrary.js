@@ -0,0 +1,153 @@
+import * as THREE from 'three';
+
+// --- Material library ---
+// Builds the scene materials from a manifest (assets/materials.json) and shares them by name.
+//
+// PBR set entry:
+//   set:          texture path prefix below textureRoot, e.g. "door/rusty_metal_grid"
+//   resolutions:  texture tiers that exist on disk, e.g. ["512", "1k", "2k"]
+//   maps:         channel -> file suffix. Channels: color, normal, arm, ao, roughness, metalness, displacement
+//                 (files are <set>_<suffix>_<tier>.<ext>)
+//   repeat:       [u, v] tiling
+//   metallic:     use the metalness channel (ARM blue / metalness map); otherwise the surface is a dielectric
+//   displacementScale, aoMapIntensity, normalScale, ext (default "jpg")
+// Plain entry:  { type: "standard" | "physical", params: { ...material parameters } }
+//
+// ARM maps pack AO (red), roughness (green) and metalness (blue) in one texture. three.js reads
+// exactly those channels from aoMap / roughnessMap / metalnessMap, so one ARM texture feeds all three.
+
+const TIERS = ['512', '1k', '2k'];
+
+// Flat stand-ins for textures that fail to load: neutral grey, a flat normal, fully lit / rough /
+// non-metallic data maps and no displacement, so the surface still renders instead of going black
+const FALLBACK_COLORS = {
+    color: '#808080',
+    normal: '#8080ff',
+    arm: '#ffff00',
+    ao: '#ffffff',
+    roughness: '#ffffff',
+    metalness: '#000000',
+    displacement: '#000000'
+};
+
+// Fetch a material manifest (returns a Promise)
+export function loadMaterialManifest(url) {
+    return fetch(url).then(response => {
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+        return response.json();
+    });
+}
+
+export class MaterialLibrary {
+    // quality: texture tier ('512', '1k' or '2k'); the closest tier a set provides is used
+    // manager: optional THREE.LoadingManager the textures are loaded through
+    constructor(manifest, quality = '1k', manager) {
+        this.manifest = manifest;
+        this.quality = TIERS.includes(quality) ? quality : '1k';
+        this.textureLoader = new THREE.TextureLoader(manager);
+        this.materials = {}; // Built materials by name (shared)
+        this.textures = {};  // Loaded textures by URL + tiling (shared)
+    }
+
+    // Shared material by name, built on first use. Unknown names return null.
+    get(name) {
+        if (this.materials[name]) return this.materials[name];
+
+        const def = this.manifest.materials[name];
+        if (!def) {
+            console.warn(`Unknown material: ${name}`);
+            return null;
+        }
+
+        this.materials[name] = def.set ? this.buildPBR(def) : this.buildPlain(def);
+        return this.materials[name];
+    }
+
+    buildPlain(def) {
+        const params = { side: THREE.DoubleSide, ...def.params };
+        if (typeof params.color === 'string') params.color = new THREE.Color(params.color);
+        return def.type === 'physical' ? new THREE.MeshPhysicalMaterial(params) : new THREE.MeshStandardMaterial(params);
+    }
+
+    buildPBR(def) {
+        const maps = def.maps;
+        const load = channel => this.loadTexture(def, maps[channel], channel);
+
+        const params = {
+            roughness: 1.0,  // Scaled by the roughness map
+            metalness: 0.0,
+            side: THREE.DoubleSide
+        };
+
+        if (maps.color) params.map = load('color');
+        if (maps.normal) {
+            params.normalMap = load('normal');
+            const scale = def.normalScale === undefined ? 1 : def.normalScale;
+            params.normalScale = new THREE.Vector2(scale, scale);
+        }
+
+        // Packed ARM map, or separate AO / roughness / metalness maps
+        const arm = maps.arm ? load('arm') : null;
+        const ao = arm || (maps.ao ? load('ao') : null);
+        const roughness = arm || (maps.roughness ? load('roughness') : null);
+        const metalness = arm || (maps.metalness ? load('metalness') : null);
+
+        if (ao) {
+            params.aoMap = ao;
+            params.aoMapIntensity = def.aoMapIntensity === undefined ? 1.0 : def.aoMapIntensity;
+        }
+        if (roughness) params.roughnessMap = roughness;
+        if (def.metallic) {
+            params.metalness = 1.0; // Scaled by the metalness channel
+            if (metalness) params.metalnessMap = metalness;
+        }
+
+        if (maps.displacement) {
+            params.displacementMap = load('displacement');
+            params.displacementScale = def.displacementScale === undefined ? 0.1 : def.displacementScale;
+        }
+
+        return new THREE.MeshStandardMaterial(params);
+    }
+
+    // Closest tier to the quality setting that the set actually provides
+    pickTier(def) {
+        const available = def.resolutions || ['1k'];
+        if (available.includes(this.quality)) return this.quality;
+
+        const wanted = TIERS.indexOf(this.quality);
+        return available.reduce((best, tier) =>
+            Math.abs(TIERS.indexOf(tier) - wanted) < Math.abs(TIERS.indexOf(best) - wanted) ? tier : best
+        );
+    }
+
+    loadTexture(def, suffix, channel) {
+        const url = `${this.manifest.textureRoot}${def.set}_${suffix}_${this.pickTier(def)}.${def.ext || 'jpg'}`;
+        const repeat = def.repeat || [1, 1];
+        const key = `${url}@${repeat.join('x')}`;
+        if (this.textures[key]) return this.textures[key];
+
+        const texture = this.textureLoader.load(url, undefined, undefined, () => {
+            console.warn(`Missing texture, using a flat ${channel} fallback: ${url}`);
+            texture.image = createFlatImage(FALLBACK_COLORS[channel] || '#808080');
+            texture.needsUpdate = true;
+        });
+        texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+        texture.repeat.set(repeat[0], repeat[1]);
+        // Color in sRGB, data maps (normal, ARM, displacement) stay linear
+        if (channel === 'color') texture.colorSpace = THREE.SRGBColorSpace;
+
+        this.textures[key] = texture;
+        return texture;
+    }
+}
+
+// 1x1 canvas in a single color
+function createFlatImage(color) {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 1;
+    const context = canvas.getContext('2d');
+    context.fillStyle = color;
+    context.fillRect(0, 0, 1, 1);
+    return canvas;
+}
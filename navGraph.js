@@ -0,0 +1,115 @@
+// --- Navigation graph ---
+// Named waypoints (corridor spots, corners, door thresholds, window) joined by walkable edges.
+// Plain data only (no THREE), so ghostSim.js can use it headless. Positions are {x, y, z}.
+// The graph comes with the level layout (`navigation`, see levelBuilder.js). New attack routes only
+// need new nodes/edges there; the ghost AI finds its way along them.
+
+export function createNavGraph() {
+    return { nodes: {}, edges: {} };
+}
+
+export function addNode(graph, name, x, y, z) {
+    graph.nodes[name] = { x, y, z };
+    if (!graph.edges[name]) graph.edges[name] = [];
+}
+
+// Edges are walkable both ways
+export function addEdge(graph, a, b) {
+    if (!graph.nodes[a] || !graph.nodes[b]) {
+        console.warn(`Nav graph edge ${a} - ${b} references a missing node`);
+        return;
+    }
+    graph.edges[a].push(b);
+    graph.edges[b].push(a);
+}
+
+export function getNode(graph, name) {
+    return graph.nodes[name] || null;
+}
+
+// Ground distance (x/z), so floating and crawling entities map onto the same nodes
+function groundDistance(a, b) {
+    return Math.hypot(a.x - b.x, a.z - b.z);
+}
+
+// Closest node to a position
+export function nearestNode(graph, position) {
+    let best = null;
+    let bestDistance = Infinity;
+    Object.keys(graph.nodes).forEach(name => {
+        const distance = groundDistance(graph.nodes[name], position);
+        if (distance < bestDistance) {
+            best = name;
+            bestDistance = distance;
+        }
+    });
+    return best;
+}
+
+// Shortest path as a list of node names (from and to included), or [] if unreachable (Dijkstra)
+export function findPath(graph, from, to) {
+    if (!graph.nodes[from] || !graph.nodes[to]) return [];
+
+    const distances = { [from]: 0 };
+    const previous = {};
+    const open = new Set([from]);
+
+    while (open.size > 0) {
+        let current = null;
+        open.forEach(name => {
+            if (current === null || distances[name] < distances[current]) current = name;
+        });
+        open.delete(current);
+        if (current === to) break;
+
+        graph.edges[current].forEach(next => {
+            const distance = distances[current] + groundDistance(graph.nodes[current], graph.nodes[next]);
+            if (next in distances && distance >= distances[next]) return;
+            distances[next] = distance;
+            previous[next] = current;
+            open.add(next);
+        });
+    }
+
+    if (!(to in distances)) return [];
+
+    const path = [to];
+    while (path[0] !== from) path.unshift(previous[path[0]]);
+    return path;
+}
+
+// Point at fraction u (0..1) along a route of node names, written into out.x / out.z
+export function pointAlongRoute(graph, route, u, out) {
+    const points = route.map(name => graph.nodes[name]);
+    const lengths = [];
+    let total = 0;
+    for (let i = 1; i < points.length; i++) {
+        const length = groundDistance(points[i - 1], points[i]);
+        lengths.push(length);
+        total += length;
+    }
+
+    let remaining = Math.min(Math.max(u, 0), 1) * total;
+    for (let i = 1; i < points.length; i++) {
+        if (remaining <= lengths[i - 1] || i === points.length - 1) {
+            const t = lengths[i - 1] > 0 ? Math.min(remaining / lengths[i - 1], 1) : 1;
+            out.x = points[i - 1].x + (points[i].x - points[i - 1].x) * t;
+            out.z = points[i - 1].z + (points[i].z - points[i - 1].z) * t;
+            return out;
+        }
+        remaining -= lengths[i - 1];
+    }
+
+    out.x = points[0].x;
+    out.z = points[0].z;
+    return out;
+}
+
+// Graph from its plain-data form, e.g. the `navigation` section of a level layout:
+// { nodes: { name: [x, y, z] }, edges: [[a, b], ...] }
+export function createNavGraphFromData(data) {
+    const graph = createNavGraph();
+    Object.keys(data.nodes).forEach(name => addNode(graph, name, ...data.nodes[name]));
+    data.edges.forEach(([a, b]) => addEdge(graph, a, b));
+    return graph;
+}
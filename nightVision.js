@@ -0,0 +1,233 @@
+import * as THREE from 'three';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+
+// --- config ---
+const CONFIG = {
+    maxBattery: 6,
+    drainRate: 4.0,             // On: consume one unit every 4 seconds
+    rechargeDelay: 6.0,         // Depleted: wait 6 seconds before it recharges
+    passiveRechargeSpeed: 0.25, // Off: units per second, paid from facility power
+    gain: 6.0,                  // Light amplification
+    illumination: 0.25,         // IR illuminator (ambient light, only switched on with the goggles)
+    flareTime: 2.5,             // Seconds of white-out after the flashlight blinds the tube
+    flareBatteryCost: 2,        // Units burnt by a flare
+    barColors: {
+        active: 0x33ff66,
+        inactive: 0x002200,
+        warning: 0xff0000
+    }
+};
+
+// Image intensifier: monochrome green, amplified and grainy, seen through a round tube.
+// A flare blows the picture out to white.
+const nightVisionShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        uTime: { value: 0 },
+        uGain: { value: CONFIG.gain },
+        uFlare: { value: 0 }
+    },
+
+    vertexShader: `
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform float uTime;
+        uniform float uGain;
+        uniform float uFlare;   // 0..1
+        varying vec2 vUv;
+
+        float hash(vec2 p) {
+            return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+        }
+
+        void main() {
+            vec3 color = texture2D(tDiffuse, vUv).rgb;
+            float luma = dot(color, vec3(0.299, 0.587, 0.114)) * uGain;
+
+            // Intensifier noise, strongest in the dark parts
+            float noise = hash(vUv * vec2(800.0, 600.0) + fract(uTime) * 97.0);
+            luma += (noise - 0.5) * 0.2;
+            luma = luma / (1.0 + luma * 0.5); // Bright spots saturate instead of clipping
+
+            vec3 green = vec3(0.15, 1.0, 0.3) * luma;
+
+            // Round tube
+            float edge = length((vUv - 0.5) * vec2(1.6, 1.0));
+            green *= smoothstep(0.72, 0.55, edge);
+
+            green = mix(green, vec3(0.9, 1.0, 0.9), uFlare);
+            gl_FragColor = vec4(green, 1.0);
+        }
+    `
+};
+
+// Night-vision goggles: a second way to look into the dark. They only amplify light, so the
+// entities are not exposed by them (ExposureSystem measures the flashlight only) and teleports
+// are not stopped. Own battery, shown on a small display pack in the lower left of the view.
+export class NightVisionSystem {
+    constructor(camera, scene) {
+        this.camera = camera;
+
+        // State
+        this.isOn = false;
+        this.isDepleted = false;
+        this.battery = CONFIG.maxBattery;
+        this.usageTimer = 0;
+        this.rechargeTimer = 0;
+        this.flareLevel = 0; // 1 right after a flare, the goggles stay unusable until 0
+
+        // Facility power that pays for the passive recharge (PowerSystem, optional)
+        this.powerSupply = null;
+
+        // Post-processing pass (added to the PostProcessing pipeline by main.js)
+        this.pass = new ShaderPass(nightVisionShader);
+        this.pass.enabled = false;
+
+        // Faint light that only the intensifier makes visible
+        this.illuminator = new THREE.AmbientLight(0xffffff, 0);
+        scene.add(this.illuminator);
+
+        this.batteryBars = [];
+        this.mesh = this.createModel();
+        this.mesh.position.set(-0.55, -0.45, -0.8);
+        this.mesh.rotation.set(0.3, 0.2, 0);
+        this.camera.add(this.mesh);
+    }
+
+    // Battery pack with the same bar display as the flashlight
+    createModel() {
+        const group = new THREE.Group();
+
+        const housing = new THREE.Mesh(
+            new THREE.BoxGeometry(0.1, 0.03, 0.16),
+            new THREE.MeshStandardMaterial({ color: 0x1a1f1a, metalness: 0.4, roughness: 0.7 })
+        );
+        group.add(housing);
+
+        const displayFrame = new THREE.Mesh(
+            new THREE.BoxGeometry(0.03, 0.01, 0.14),
+            new THREE.MeshStandardMaterial({ color: 0x050505, roughness: 0.2 })
+        );
+        displayFrame.position.y = 0.02;
+        group.add(displayFrame);
+
+        const barW = 0.015;
+        const barH = 0.01;
+        const gap = 0.005;
+
+        for (let i = 0; i < CONFIG.maxBattery; i++) {
+            const barMat = new THREE.MeshBasicMaterial({ color: CONFIG.barColors.active });
+            const bar = new THREE.Mesh(new THREE.PlaneGeometry(barW, barH), barMat);
+            bar.rotation.x = -Math.PI / 2;
+            bar.position.set(0, 0.026, 0.05 - i * (barH + gap));
+            group.add(bar);
+            this.batteryBars.push(bar);
+        }
+
+        return group;
+    }
+
+    toggle() {
+        // Tube still recovering from a flare, or not enough charge to be worth switching on
+        if (this.flareLevel > 0 || this.isDepleted) return;
+        if (!this.isOn && this.battery < 1.0) return;
+
+        this.isOn = !this.isOn;
+        this.usageTimer = 0;
+        this.updateDisplay();
+    }
+
+    // Bright light hit the intensifier: white-out, the goggles cut out and burn battery.
+    // Returns true if it flared (main.js plays the sound).
+    flare() {
+        if (!this.isOn) return false;
+
+        this.isOn = false;
+        this.flareLevel = 1;
+        this.battery = Math.max(0, this.battery - CONFIG.flareBatteryCost);
+        if (this.battery <= 0) this.triggerDepletion();
+        this.updateDisplay();
+        return true;
+    }
+
+    consumeBatteryStep() {
+        this.battery -= 1;
+        if (this.battery <= 0) {
+            this.battery = 0;
+            this.triggerDepletion();
+        }
+    }
+
+    triggerDepletion() {
+        this.isOn = false;
+        this.isDepleted = true;
+    }
+
+    reset() {
+        this.isOn = false;
+        this.isDepleted = false;
+        this.battery = CONFIG.maxBattery;
+        this.usageTimer = 0;
+        this.rechargeTimer = 0;
+        this.flareLevel = 0;
+        this.updateDisplay();
+    }
+
+    // isRunning: false while the game is paused (battery neither drains nor recharges)
+    update(dt, time, isRunning = true) {
+        if (!isRunning) {
+            // Paused: freeze the battery and the flare
+        } else if (this.isDepleted) {
+            this.rechargeTimer += dt;
+            if (this.rechargeTimer >= CONFIG.rechargeDelay) {
+                this.battery = 1.1;
+                this.isDepleted = false;
+                this.rechargeTimer = 0;
+            }
+        } else if (this.isOn) {
+            this.usageTimer += dt;
+            if (this.usageTimer >= CONFIG.drainRate) {
+                this.consumeBatteryStep();
+                this.usageTimer = 0;
+            }
+        } else if (this.battery < CONFIG.maxBattery) {
+            let amount = CONFIG.passiveRechargeSpeed * dt;
+            if (this.powerSupply) amount = this.powerSupply.drawForRecharge(amount);
+            this.battery = Math.min(CONFIG.maxBattery, this.battery + amount);
+        }
+
+        if (isRunning) this.flareLevel = Math.max(0, this.flareLevel - dt / CONFIG.flareTime);
+
+        this.pass.enabled = this.isOn || this.flareLevel > 0;
+        this.pass.uniforms.uTime.value = time;
+        this.pass.uniforms.uFlare.value = this.flareLevel;
+        this.illuminator.intensity = this.isOn ? CONFIG.illumination : 0;
+
+        this.updateDisplay();
+    }
+
+    updateDisplay() {
+        const currentBars = Math.ceil(this.battery);
+
+        this.batteryBars.forEach((bar, index) => {
+            if (index < currentBars) {
+                bar.material.color.setHex(this.isDepleted || currentBars <= 1 ? CONFIG.barColors.warning : CONFIG.barColors.active);
+            } else {
+                bar.material.color.setHex(CONFIG.barColors.inactive);
+            }
+
+            // Flare / depleted: the first bar blinks
+            if ((this.isDepleted || this.flareLevel > 0) && index === 0) {
+                const flash = Math.sin(Date.now() * 0.01) > 0;
+                bar.material.color.setHex(flash ? CONFIG.barColors.warning : 0x000000);
+            }
+        });
+    }
+}
@@ -0,0 +1,66 @@
+// --- config ---
+const CONFIG = {
+    decayRate: 0.12,  // Noise level lost per second
+    spikeLevel: 0.7,  // A sound that leaves the level at or above this lures the ghost to its source
+    sounds: {         // Noise each sound adds (level 0..1)
+        doorToggle: 0.12,     // Q / E
+        doorSlam: 0.08,       // Door hitting the frame when it shuts
+        doorBreak: 0.6,       // Door smashed on the ghost
+        ventShutter: 0.1,     // Vent shutter rolling (V)
+        flashlightClick: 0.04 // Flashlight or goggles switch
+    },
+    meterBars: 10
+};
+
+// Noise the player makes in the office. Every sound adds to one level that decays over time;
+// the ghost simulation reads the level (bolder decisions) and reacts to loud spikes.
+export class NoiseSystem {
+    constructor() {
+        this.level = 0;     // 0..1
+        this.spike = null;  // { side } of the last loud sound, until taken (see takeSpike)
+
+        this.meterEl = document.getElementById('noise-meter');
+    }
+
+    // type: key of CONFIG.sounds
+    // side: door the sound came from ('left' / 'right'), null = inside the office
+    add(type, side = null) {
+        const amount = CONFIG.sounds[type];
+        if (amount === undefined) {
+            console.warn(`Unknown noise: ${type}`);
+            return;
+        }
+
+        this.level = Math.min(1, this.level + amount);
+        if (this.level >= CONFIG.spikeLevel) this.spike = { side };
+        this.updateDisplay();
+    }
+
+    // Loud spike since the last call, or null (main.js hands it to the ghost simulation once)
+    takeSpike() {
+        const spike = this.spike;
+        this.spike = null;
+        return spike;
+    }
+
+    update(dt) {
+        this.level = Math.max(0, this.level - CONFIG.decayRate * dt);
+        this.updateDisplay();
+    }
+
+    reset() {
+        this.level = 0;
+        this.spike = null;
+        this.updateDisplay();
+    }
+
+    updateDisplay() {
+        if (!this.meterEl) return;
+
+        const filled = Math.ceil(this.level * CONFIG.meterBars);
+        const meter = `[${'|'.repeat(filled).padEnd(CONFIG.meterBars, '.')}]`;
+        if (this.meterEl.innerText !== meter) this.meterEl.innerText = meter;
+
+        this.meterEl.className = this.level >= CONFIG.spikeLevel ? 'power-usage open' : 'power-usage';
+    }
+}
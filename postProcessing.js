@@ -0,0 +1,167 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+
+// --- config ---
+// Every effect has a resting level (the old monitor) and a level at full threat; the current
+// strength blends between them by the threat (entity closing in) plus any impact burst.
+const CONFIG = {
+    scanlines: { base: 0.12, max: 0.3 },     // Darkening of every other line pair
+    aberration: { base: 0.0015, max: 0.012 }, // RGB split at the screen edge (UV units)
+    grain: { base: 0.06, max: 0.22 },         // Film grain amount
+    barrel: { base: 0.04, max: 0.16 },        // Barrel distortion of the CRT glass
+    tracking: { base: 0.0, max: 0.7 },        // VHS tracking noise: sheared, snowy bands
+    threatSmoothing: 4.0,  // Per second, how fast the distortion follows the threat
+    burstDecay: 1.5,       // Per second
+    signalLossTime: 1.2    // Seconds from game over to a dead signal
+};
+
+const crtShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        uTime: { value: 0 },
+        uScanlines: { value: CONFIG.scanlines.base },
+        uAberration: { value: CONFIG.aberration.base },
+        uGrain: { value: CONFIG.grain.base },
+        uBarrel: { value: CONFIG.barrel.base },
+        uTracking: { value: CONFIG.tracking.base },
+        uSignalLoss: { value: 0 }
+    },
+
+    vertexShader: `
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform float uTime;
+        uniform float uScanlines;   // 0..1
+        uniform float uAberration;  // RGB offset at the edge
+        uniform float uGrain;       // 0..1
+        uniform float uBarrel;      // Distortion amount
+        uniform float uTracking;    // 0..1 VHS tracking noise
+        uniform float uSignalLoss;  // 0..1, 1 = nothing but snow
+        varying vec2 vUv;
+
+        float hash(vec2 p) {
+            return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+        }
+
+        // CRT glass: push the picture outwards with the squared distance from the centre
+        vec2 barrel(vec2 uv) {
+            vec2 centered = uv - 0.5;
+            return 0.5 + centered * (1.0 + uBarrel * dot(centered, centered) * 4.0);
+        }
+
+        void main() {
+            vec2 uv = barrel(vUv);
+
+            // VHS tracking: a few wide bands roll down the screen and shear sideways
+            float trackingBand = step(0.93, fract(uv.y * 3.0 - uTime * 0.4));
+            float jitter = hash(vec2(floor(uv.y * 120.0), floor(uTime * 30.0))) - 0.5;
+            uv.x += (trackingBand * 0.06 + 0.01) * jitter * uTracking;
+
+            // Signal loss tears the whole picture apart
+            uv.x += (hash(vec2(floor(uv.y * 40.0), floor(uTime * 25.0))) - 0.5) * 0.2 * uSignalLoss;
+
+            // Chromatic aberration grows towards the edges
+            vec2 offset = (uv - 0.5) * uAberration * 2.0;
+            vec3 color = vec3(
+                texture2D(tDiffuse, uv + offset).r,
+                texture2D(tDiffuse, uv).g,
+                texture2D(tDiffuse, uv - offset).b
+            );
+
+            // Outside the curved glass is the dark tube
+            vec2 inside = step(vec2(0.0), uv) * step(uv, vec2(1.0));
+            color *= inside.x * inside.y;
+
+            // Scanlines (screen space, so they stay crisp at any resolution)
+            color *= 1.0 - uScanlines * step(0.5, fract(gl_FragCoord.y * 0.25));
+
+            // Grain, plus snow inside the tracking bands
+            float noise = hash(vUv * 512.0 + fract(uTime) * 100.0);
+            color += (noise - 0.5) * uGrain;
+            color = mix(color, vec3(noise), trackingBand * uTracking * 0.5);
+
+            // Dead signal: snow that fades to black
+            float snow = hash(vUv * vec2(640.0, 480.0) + uTime * 60.0);
+            color = mix(color, vec3(snow * (1.0 - uSignalLoss * 0.7)), uSignalLoss);
+
+            gl_FragColor = vec4(color, 1.0);
+        }
+    `
+};
+
+// First-person view through an EffectComposer: scene render, CRT / VHS pass, output conversion.
+// main.js feeds it the threat level every frame and triggers bursts and signal loss.
+export class PostProcessing {
+    constructor(renderer, scene, camera) {
+        this.composer = new EffectComposer(renderer);
+        this.composer.addPass(new RenderPass(scene, camera));
+
+        this.crtPass = new ShaderPass(crtShader);
+        this.composer.addPass(this.crtPass);
+        this.composer.addPass(new OutputPass()); // Tone mapping and sRGB, as renderer.render would do
+
+        this.threat = 0;       // Smoothed 0..1
+        this.burstLevel = 0;   // 0..1, decays
+        this.signalLoss = 0;   // 0..1
+        this.isSignalLost = false;
+    }
+
+    // Extra effect pass (e.g. night vision), applied to the scene before the CRT pass
+    addEffect(pass) {
+        this.composer.insertPass(pass, this.composer.passes.indexOf(this.crtPass));
+    }
+
+    setSize(width, height) {
+        this.composer.setSize(width, height);
+    }
+
+    // Short spike of distortion, e.g. a door breaking
+    burst(amount = 1) {
+        this.burstLevel = Math.max(this.burstLevel, amount);
+    }
+
+    // Game over: the picture breaks up into snow and dies
+    loseSignal() {
+        this.isSignalLost = true;
+    }
+
+    reset() {
+        this.threat = 0;
+        this.burstLevel = 0;
+        this.signalLoss = 0;
+        this.isSignalLost = false;
+    }
+
+    // threat: 0..1, how close the entity is while stalking / attacking
+    update(dt, time, threat) {
+        this.threat += (threat - this.threat) * Math.min(1, CONFIG.threatSmoothing * dt);
+        this.burstLevel = Math.max(0, this.burstLevel - CONFIG.burstDecay * dt);
+        if (this.isSignalLost) this.signalLoss = Math.min(1, this.signalLoss + dt / CONFIG.signalLossTime);
+
+        const strength = Math.min(1, this.threat + this.burstLevel);
+        const blend = effect => THREE.MathUtils.lerp(effect.base, effect.max, strength);
+
+        const uniforms = this.crtPass.uniforms;
+        uniforms.uTime.value = time;
+        uniforms.uScanlines.value = blend(CONFIG.scanlines);
+        uniforms.uAberration.value = blend(CONFIG.aberration);
+        uniforms.uGrain.value = blend(CONFIG.grain);
+        uniforms.uBarrel.value = blend(CONFIG.barrel);
+        uniforms.uTracking.value = Math.min(1, blend(CONFIG.tracking) + this.signalLoss);
+        uniforms.uSignalLoss.value = this.signalLoss;
+    }
+
+    render() {
+        this.composer.render();
+    }
+}
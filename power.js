@@ -0,0 +1,100 @@
+// --- config ---
+const CONFIG = {
+    maxPower: 100,       // Percent of the facility's power for one night
+    baseDrain: 0.08,     // Always on (cameras, terminal): % per second
+    doorDrain: 0.5,      // Per closed door: % per second
+    lampDrain: 0.12,     // Ceiling lamp: % per second
+    shutterDrain: 0.35,  // Shut ceiling vent shutter: % per second
+    rechargeCost: 1.5,   // % of facility power per flashlight battery unit recharged
+    maxUsageBars: 5      // Usage indicator length
+};
+
+// Facility power meter shared by the doors, the vent shutter, the ceiling lamp and the flashlight charger.
+// main.js reports the active loads every frame; running out of power triggers a blackout.
+export class PowerSystem {
+    constructor() {
+        this.power = CONFIG.maxPower;
+        this.isBlackout = false;
+        this.lampOn = true;
+        this.usage = 1;           // Number of active loads (shown as bars)
+        this.isCharging = false;  // Flashlight charger drew power since the last update
+        this.onBlackout = null;   // Callback, set by main.js
+
+        this.levelEl = document.getElementById('power-level');
+        this.usageEl = document.getElementById('power-usage');
+    }
+
+    // closedDoors: number of doors currently closed, ventShut: the ceiling vent shutter is shut
+    // (the shutter motor shares the lamp's circuit: while it is shut the lamp is dark and draws nothing)
+    update(dt, closedDoors, ventShut = false) {
+        if (this.isBlackout) {
+            this.usage = 0;
+            this.isCharging = false;
+            this.updateDisplay();
+            return;
+        }
+
+        const lampLit = this.lampOn && !ventShut;
+        let drain = CONFIG.baseDrain + closedDoors * CONFIG.doorDrain;
+        if (ventShut) drain += CONFIG.shutterDrain;
+        if (lampLit) drain += CONFIG.lampDrain;
+        this.power -= drain * dt;
+
+        // Usage indicator: base load + each door + shutter + lamp + charger
+        this.usage = 1 + closedDoors + (ventShut ? 1 : 0) + (lampLit ? 1 : 0) + (this.isCharging ? 1 : 0);
+        this.isCharging = false;
+
+        if (this.power <= 0) {
+            this.power = 0;
+            this.triggerBlackout();
+        }
+
+        this.updateDisplay();
+    }
+
+    // Pay for recharging the flashlight. Returns how many battery units were actually granted.
+    drawForRecharge(units) {
+        if (this.isBlackout || units <= 0) return 0;
+
+        const cost = units * CONFIG.rechargeCost;
+        const paid = Math.min(cost, this.power);
+        this.power -= paid;
+        this.isCharging = true;
+        return units * (paid / cost);
+    }
+
+    toggleLamp() {
+        if (this.isBlackout) return false;
+        this.lampOn = !this.lampOn;
+        return this.lampOn;
+    }
+
+    triggerBlackout() {
+        console.log("BLACKOUT! Facility power depleted.");
+        this.isBlackout = true;
+        this.lampOn = false;
+        if (typeof this.onBlackout === 'function') this.onBlackout();
+    }
+
+    reset() {
+        this.power = CONFIG.maxPower;
+        this.isBlackout = false;
+        this.lampOn = true;
+        this.usage = 1;
+        this.isCharging = false;
+        this.updateDisplay();
+    }
+
+    updateDisplay() {
+        if (!this.levelEl || !this.usageEl) return;
+
+        const level = this.isBlackout ? "NO POWER" : `${Math.ceil(this.power)}%`;
+        if (this.levelEl.innerText !== level) this.levelEl.innerText = level;
+
+        const bars = '|'.repeat(Math.min(this.usage, CONFIG.maxUsageBars)).padEnd(CONFIG.maxUsageBars, '.');
+        const usage = `USAGE [${bars}]`;
+        if (this.usageEl.innerText !== usage) this.usageEl.innerText = usage;
+
+        this.levelEl.className = `door-status ${this.isBlackout || this.power < 20 ? 'open' : 'closed'}`;
+    }
+}
@@ -0,0 +1,66 @@
+// --- Seeded random number generator ---
+// Every gameplay roll goes through random() so a night can be replayed from its seed.
+// Rolls are split into named channels (each with its own state derived from the seed), so
+// cosmetic rolls like the lamp flicker never shift the ghost's decisions.
+
+let currentSeed = 0;
+const channels = new Map();
+
+// FNV-1a hash, used to turn text seeds and channel names into 32-bit integers
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Mulberry32: small, fast and good enough for gameplay rolls
+function mulberry32(state) {
+    return function () {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Reseed every channel (call at the start of a night)
+export function setSeed(seed) {
+    currentSeed = seed >>> 0;
+    channels.clear();
+}
+
+export function getSeed() {
+    return currentSeed;
+}
+
+// Returns a float in [0, 1) from the given channel
+export function random(channel = 'ghost') {
+    let next = channels.get(channel);
+    if (!next) {
+        next = mulberry32(currentSeed ^ hashString(channel));
+        channels.set(channel, next);
+    }
+    return next();
+}
+
+// Fresh seed for a normal (non-replayed) night
+export function randomSeed() {
+    return (Math.random() * 0x100000000) >>> 0;
+}
+
+// Seed text as shown on the overlay, e.g. "0007A3F1"
+export function formatSeed(seed) {
+    return (seed >>> 0).toString(16).toUpperCase().padStart(8, '0');
+}
+
+// Accepts the overlay format (hex), plain numbers, or any other text (hashed)
+export function parseSeed(text) {
+    if (text === null || text === undefined || text === '') return null;
+    const value = String(text).trim();
+    if (/^[0-9A-Fa-f]{8}$/.test(value)) return parseInt(value, 16) >>> 0;
+    if (/^\d+$/.test(value)) return Number(value) >>> 0;
+    return hashString(value);
+}
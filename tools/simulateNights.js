@@ -0,0 +1,143 @@
+// --- Headless night simulator ---
+// Runs the ghost simulation core (ghostSim.js) against a scripted player, without a renderer,
+// and prints survival statistics. Useful for balancing the campaign nights.
+//
+// Usage: node tools/simulateNights.js [--nights=1000] [--night=3] [--reaction=0.8] [--duration=360] [--seed=1] [--dt=0.016]
+//
+// Every entity of the night (see `entities` in campaign.js) is simulated at the same time.
+// The scripted player keeps its flashlight off (unlimited battery) and both doors open, reacts to a
+// ghost at a door or the window by lighting it after --reaction seconds, closes the door on an
+// approaching entity or a lurking light-eater and shuts the ceiling vent on the vent crawler
+// (doors and the shutter move instantly, there is no swing time; power is not simulated).
+import { readFileSync } from 'node:fs';
+import { createGhost, resetGhost, stepGhost, setNavGraph, DEFAULT_ARCHETYPE_PROFILES } from '../ghostSim.js';
+import { createNavGraphFromData } from '../navGraph.js';
+import { getNight } from '../campaign.js';
+import { setSeed } from '../rng.js';
+
+// Mirrors SHIFT_CONFIG in main.js
+const SHIFT_HOURS = 6;
+const AGGRESSION_PER_HOUR = 0.25;
+
+const PLAYER_POSITION = { x: 0, y: 5, z: 5 };
+const LOOK_FORWARD = { x: 0, y: 0, z: -1 };
+
+function parseArgs(argv) {
+    const options = { nights: 1000, night: 3, reaction: 0.8, duration: 360, seed: 1, dt: 1 / 60 };
+    argv.forEach(arg => {
+        const match = /^--(\w+)=(.+)$/.exec(arg);
+        if (match && match[1] in options) options[match[1]] = Number(match[2]);
+    });
+    return options;
+}
+
+function lookAt(target) {
+    const dx = target.x - PLAYER_POSITION.x;
+    const dy = target.y - PLAYER_POSITION.y;
+    const dz = target.z - PLAYER_POSITION.z;
+    const length = Math.hypot(dx, dy, dz);
+    return { x: dx / length, y: dy / length, z: dz / length };
+}
+
+// Simulate one night; returns { survived, deathTime, counts }
+function simulateNight(ghosts, profiles, options) {
+    ghosts.forEach(ghost => resetGhost(ghost));
+
+    const input = {
+        playerPosition: PLAYER_POSITION,
+        viewDirection: LOOK_FORWARD,
+        flashlightOn: false,
+        leftClosure: 0,
+        rightClosure: 0,
+        windowCracked: false,
+        ventShut: false,
+        aggression: 1.0
+    };
+    const counts = { teleport: 0, banished: 0, approach: 0, repelled: 0, crack: 0 };
+    const threatTimers = ghosts.map(() => 0); // Time since each entity's current threat was noticed
+
+    for (let time = 0; time < options.duration; time += options.dt) {
+        const hour = Math.floor(time / options.duration * SHIFT_HOURS);
+        input.aggression = 1.0 + hour * AGGRESSION_PER_HOUR;
+
+        // --- Scripted player ---
+        input.flashlightOn = false;
+        input.viewDirection = LOOK_FORWARD;
+        input.leftClosure = 0;
+        input.rightClosure = 0;
+        input.ventShut = false;
+
+        ghosts.forEach((ghost, i) => {
+            if (ghost.phase !== 'stalk' && ghost.phase !== 'approach') {
+                threatTimers[i] = 0;
+                return;
+            }
+            threatTimers[i] += options.dt;
+            if (threatTimers[i] < options.reaction) return;
+            if (ghost.archetype === 'ventCrawler') {
+                input.ventShut = true;
+                return;
+            }
+
+            const closure = ghost.attackSide === 'left' ? 'leftClosure' : 'rightClosure';
+            if (ghost.phase === 'stalk' && ghost.archetype !== 'lightEater') {
+                input.viewDirection = lookAt(ghost.position);
+                input.flashlightOn = true;
+            } else {
+                input[closure] = 1;
+            }
+        });
+
+        for (let i = 0; i < ghosts.length; i++) {
+            const events = stepGhost(ghosts[i], options.dt, input, profiles[i]);
+            for (const event of events) {
+                if (event.type === 'caught') return { survived: false, deathTime: time, counts };
+                if (event.type === 'crack') input.windowCracked = true;
+                if (event.type in counts) counts[event.type]++;
+            }
+        }
+    }
+
+    return { survived: true, deathTime: null, counts };
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    // Entities walk the default office's waypoint graph
+    const layout = JSON.parse(readFileSync(new URL('../assets/layouts/office.json', import.meta.url), 'utf8'));
+    setNavGraph(createNavGraphFromData(layout.navigation));
+    const night = getNight(options.night);
+    const ghosts = night.entities.map(archetype => createGhost(archetype));
+    const profiles = night.entities.map(archetype => archetype === 'teleporter'
+        ? { ...DEFAULT_ARCHETYPE_PROFILES.teleporter, ...night.profile }
+        : { ...DEFAULT_ARCHETYPE_PROFILES[archetype] });
+
+    const totals = { teleport: 0, banished: 0, approach: 0, repelled: 0, crack: 0 };
+    const deathsByHour = new Array(SHIFT_HOURS).fill(0);
+    let survived = 0;
+
+    for (let i = 0; i < options.nights; i++) {
+        setSeed(options.seed + i);
+        const result = simulateNight(ghosts, profiles, options);
+
+        if (result.survived) survived++;
+        else deathsByHour[Math.floor(result.deathTime / options.duration * SHIFT_HOURS)]++;
+
+        Object.keys(totals).forEach(key => { totals[key] += result.counts[key]; });
+    }
+
+    const perNight = key => (totals[key] / options.nights).toFixed(2);
+
+    console.log(`Night ${options.night} [${night.entities.join(', ')}]: ${options.nights} runs, reaction ${options.reaction}s, seeds ${options.seed}..${options.seed + options.nights - 1}`);
+    console.log(`Survival rate:     ${(survived / options.nights * 100).toFixed(1)}%`);
+    console.log(`Teleports/night:   ${perNight('teleport')} (banished ${perNight('banished')})`);
+    console.log(`Approaches/night:  ${perNight('approach')} (repelled ${perNight('repelled')})`);
+    console.log(`Window cracks/night: ${perNight('crack')}`);
+    console.log('Deaths by hour:');
+    deathsByHour.forEach((deaths, hour) => {
+        console.log(`  0${hour}:00  ${String(deaths).padStart(6)}`);
+    });
+}
+
+main();
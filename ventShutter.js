@@ -0,0 +1,217 @@
+import * as THREE from 'three';
+import { random } from './rng.js';
+
+// --- config ---
+const CONFIG = {
+    size: 3,              // Grate width / depth (world units)
+    slats: 7,
+    slideTime: 0.8,       // Seconds for the shutter to roll fully shut (or open)
+    lookDot: 0.9,         // How directly the player must look up at the grate to work the shutter
+    dust: {
+        count: 200,       // Particle pool
+        maxRate: 60,      // Particles per second at full vent threat
+        fallSpeed: [1.5, 3.0],
+        sway: 0.4,        // Sideways drift
+        size: 0.08,
+        color: 0xd8c8a8,
+        darkOpacity: 0.15, // Barely visible outside the lamp light
+        litOpacity: 0.8
+    }
+};
+
+// Ceiling vent above the player: a grate with a rolling shutter behind it, and dust that falls
+// through the lamp cone while something crawls in the duct. main.js works the shutter (V key,
+// only while looking up at it) and charges it as a facility power load; the shutter motor shares
+// the ceiling lamp's circuit, so the lamp stays dark while the shutter is shut.
+export class VentSystem {
+    // position: centre of the grate on the ceiling (THREE.Vector3), null if the layout has no vent
+    // (nothing is built, the shutter cannot be reached)
+    constructor(scene, position) {
+        this.position = position ? position.clone() : null;
+
+        // State
+        this.isShut = false; // Commanded state, the shutter rolls towards it
+        this.closure = 0;    // 0 = open .. 1 = sealed
+
+        this.mesh = null;
+        this.shutter = null;
+        this.dust = null;
+        this.dustTimer = 0;
+        if (this.position) {
+            this.mesh = this.createModel();
+            this.mesh.position.copy(this.position);
+            scene.add(this.mesh);
+
+            this.dust = this.createDust();
+            scene.add(this.dust.points);
+        }
+
+        this.toGrate = new THREE.Vector3();
+        this.viewDirection = new THREE.Vector3();
+
+        this.statusEl = document.getElementById('status-vent');
+        this.updateDisplay();
+    }
+
+    // Dark duct opening, the shutter plate behind the slats, the grate frame and slats in front
+    createModel() {
+        const group = new THREE.Group();
+        const size = CONFIG.size;
+        const metal = new THREE.MeshStandardMaterial({ color: 0x3a3d3f, metalness: 0.6, roughness: 0.6 });
+
+        const opening = new THREE.Mesh(
+            new THREE.PlaneGeometry(size, size),
+            new THREE.MeshBasicMaterial({ color: 0x020202 })
+        );
+        opening.rotation.x = Math.PI / 2; // Facing down
+        opening.position.y = -0.01;
+        group.add(opening);
+
+        // Rolls out from one edge: scaled along x from 0 (open) to 1 (shut)
+        this.shutter = new THREE.Mesh(
+            new THREE.BoxGeometry(size, 0.04, size),
+            new THREE.MeshStandardMaterial({ color: 0x6b6f70, metalness: 0.5, roughness: 0.4 })
+        );
+        this.shutter.geometry.translate(size / 2, 0, 0); // Pivot on the left edge
+        this.shutter.position.set(-size / 2, -0.04, 0);
+        this.shutter.scale.x = 0.001;
+        group.add(this.shutter);
+
+        const border = 0.15;
+        [[0, size / 2], [0, -size / 2]].forEach(([x, z]) => {
+            const bar = new THREE.Mesh(new THREE.BoxGeometry(size + border * 2, 0.1, border), metal);
+            bar.position.set(x, -0.08, z);
+            group.add(bar);
+        });
+        [[size / 2, 0], [-size / 2, 0]].forEach(([x, z]) => {
+            const bar = new THREE.Mesh(new THREE.BoxGeometry(border, 0.1, size), metal);
+            bar.position.set(x, -0.08, z);
+            group.add(bar);
+        });
+
+        for (let i = 0; i < CONFIG.slats; i++) {
+            const slat = new THREE.Mesh(new THREE.BoxGeometry(size, 0.06, 0.08), metal);
+            slat.position.set(0, -0.1, -size / 2 + (i + 0.5) * size / CONFIG.slats);
+            slat.rotation.x = 0.5; // Angled louvres
+            group.add(slat);
+        }
+
+        return group;
+    }
+
+    // Pool of dust motes; unused ones wait below the floor
+    createDust() {
+        const count = CONFIG.dust.count;
+        const positions = new Float32Array(count * 3).fill(-100);
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+        const material = new THREE.PointsMaterial({
+            color: CONFIG.dust.color,
+            size: CONFIG.dust.size,
+            transparent: true,
+            opacity: CONFIG.dust.darkOpacity,
+            depthWrite: false
+        });
+
+        const points = new THREE.Points(geometry, material);
+        points.frustumCulled = false;
+        return { points, positions, speeds: new Float32Array(count), active: new Uint8Array(count), next: 0 };
+    }
+
+    // Whether the camera looks up at the grate closely enough to reach the shutter
+    isLookedAt(camera) {
+        if (!this.position) return false;
+        this.toGrate.subVectors(this.position, camera.position).normalize();
+        camera.getWorldDirection(this.viewDirection);
+        return this.viewDirection.dot(this.toGrate) > CONFIG.lookDot;
+    }
+
+    toggle() {
+        this.isShut = !this.isShut;
+        this.updateDisplay();
+    }
+
+    // Blackout: the shutter fails open
+    open() {
+        this.isShut = false;
+        this.updateDisplay();
+    }
+
+    // Only a fully rolled shutter keeps the duct closed
+    get isSealed() {
+        return this.closure >= 1;
+    }
+
+    reset() {
+        this.isShut = false;
+        this.closure = 0;
+        if (this.shutter) this.shutter.scale.x = 0.001;
+        if (this.dust) {
+            this.dust.active.fill(0);
+            this.dust.positions.fill(-100);
+            this.dust.points.geometry.attributes.position.needsUpdate = true;
+        }
+        this.updateDisplay();
+    }
+
+    // isRunning: false while paused (shutter and dust freeze)
+    // threat: 0..1 how close something in the duct is (see getGhostVentThreat in enemy.js)
+    // lampLevel: 0..1 ceiling lamp brightness, dust only shows up in its light
+    update(dt, isRunning, threat, lampLevel) {
+        if (!isRunning) return;
+
+        // Roll towards the commanded state
+        const target = this.isShut ? 1 : 0;
+        const step = dt / CONFIG.slideTime;
+        this.closure = this.closure < target ? Math.min(this.closure + step, target) : Math.max(this.closure - step, target);
+        this.updateDisplay();
+        if (!this.position) return;
+
+        this.shutter.scale.x = Math.max(this.closure, 0.001);
+        this.updateDust(dt, threat);
+        const dust = CONFIG.dust;
+        this.dust.points.material.opacity = dust.darkOpacity + (dust.litOpacity - dust.darkOpacity) * lampLevel;
+    }
+
+    updateDust(dt, threat) {
+        const dust = this.dust;
+        const config = CONFIG.dust;
+
+        // Shaken loose through the open part of the grate
+        const rate = config.maxRate * threat * (1 - this.closure);
+        this.dustTimer += dt * rate;
+        while (this.dustTimer >= 1) {
+            this.dustTimer -= 1;
+            const i = dust.next;
+            dust.next = (dust.next + 1) % config.count;
+            dust.active[i] = 1;
+            dust.positions[i * 3] = this.position.x + (random('fx') - 0.5) * CONFIG.size;
+            dust.positions[i * 3 + 1] = this.position.y - 0.1;
+            dust.positions[i * 3 + 2] = this.position.z + (random('fx') - 0.5) * CONFIG.size;
+            dust.speeds[i] = config.fallSpeed[0] + random('fx') * (config.fallSpeed[1] - config.fallSpeed[0]);
+        }
+
+        for (let i = 0; i < config.count; i++) {
+            if (!dust.active[i]) continue;
+            const y = dust.positions[i * 3 + 1] - dust.speeds[i] * dt;
+            dust.positions[i * 3] += Math.sin(y * 2 + i) * config.sway * dt;
+            dust.positions[i * 3 + 1] = y;
+            if (y < 0) {
+                dust.active[i] = 0;
+                dust.positions[i * 3 + 1] = -100;
+            }
+        }
+        dust.points.geometry.attributes.position.needsUpdate = true;
+    }
+
+    updateDisplay() {
+        if (!this.statusEl) return;
+
+        let text = this.isShut ? "SHUT" : "OPEN";
+        if (this.closure !== (this.isShut ? 1 : 0)) text = this.isShut ? "CLOSING" : "OPENING"; // Still rolling
+        const className = `door-status ${this.isShut ? 'closed' : 'open'}`;
+        if (this.statusEl.innerText !== text) this.statusEl.innerText = text;
+        if (this.statusEl.className !== className) this.statusEl.className = className;
+    }
+}
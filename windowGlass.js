@@ -0,0 +1,220 @@
+import * as THREE from 'three';
+import { random } from './rng.js';
+
+// --- config ---
+const CONFIG = {
+    crackedGlass: {           // The pane after the crack: frosted by the fractures, less clear
+        color: 0xc8d4cc,
+        roughness: 0.35,
+        transmission: 0.7
+    },
+    decalSize: 8,             // World units, square (fits the 10 high pane)
+    decalResolution: 512,     // Canvas pixels
+    impactSpread: 3,          // The impact lands up to this far left / right of the pane centre
+    cracks: 14,               // Radial cracks from the impact
+    rings: [0.06, 0.14, 0.25], // Concentric fractures, as a share of the decal size
+    shardCount: 40,
+    shardSize: 0.25,
+    gravity: 25
+};
+
+// The front window: cracks once when the teleporter is not lit in time (the second visit comes
+// through it, see ghostSim.js). The crack frosts the glass material, adds a cracked-glass decal on
+// the office side and throws a few shards onto the floor. Shows its state on the window HUD panel.
+export class WindowSystem {
+    // pane: the glass mesh built by levelBuilder.js (level.windows.office), may be missing in a custom layout
+    constructor(pane, scene) {
+        this.pane = pane;
+        this.scene = scene;
+        this.isCracked = false;
+
+        this.material = pane ? pane.material : null;
+        this.intactGlass = this.material ? {
+            color: this.material.color.getHex(),
+            roughness: this.material.roughness,
+            transmission: this.material.transmission
+        } : null;
+
+        this.decal = null;
+        this.shards = []; // { mesh, velocity, spin, landed }
+
+        this.statusEl = document.getElementById('status-window');
+        this.updateDisplay(false);
+    }
+
+    crack() {
+        if (this.isCracked) return;
+        this.isCracked = true;
+        if (!this.pane) return;
+
+        this.material.roughness = CONFIG.crackedGlass.roughness;
+        this.material.transmission = CONFIG.crackedGlass.transmission;
+        this.material.color.setHex(CONFIG.crackedGlass.color);
+
+        // Impact somewhere along the middle of the pane, where the entity pressed against it
+        const impact = this.pane.position.clone();
+        impact.x += (random('fx') - 0.5) * 2 * CONFIG.impactSpread;
+
+        this.decal = this.createDecal(impact);
+        this.scene.add(this.decal);
+        this.createShards(impact);
+    }
+
+    // Transparent plane just in front of the glass (office side), crack lines drawn on a canvas
+    createDecal(impact) {
+        const size = CONFIG.decalResolution;
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = size;
+        drawCracks(canvas.getContext('2d'), size);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.colorSpace = THREE.SRGBColorSpace;
+
+        const decal = new THREE.Mesh(
+            new THREE.PlaneGeometry(CONFIG.decalSize, CONFIG.decalSize),
+            new THREE.MeshBasicMaterial({ map: texture, transparent: true, depthWrite: false })
+        );
+        decal.quaternion.copy(this.pane.quaternion);
+        decal.position.copy(impact);
+        decal.position.add(new THREE.Vector3(0, 0, 0.02).applyQuaternion(this.pane.quaternion));
+        return decal;
+    }
+
+    // Splinters thrown into the office, falling to the floor where they stay until the reset
+    createShards(impact) {
+        const geometry = new THREE.BufferGeometry();
+        const s = CONFIG.shardSize;
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute([0, s, 0, -s * 0.4, -s, 0, s * 0.5, -s * 0.6, 0], 3));
+        geometry.computeVertexNormals();
+        const material = new THREE.MeshStandardMaterial({
+            color: 0xddeeff, roughness: 0.1, metalness: 0.3, transparent: true, opacity: 0.6, side: THREE.DoubleSide
+        });
+        const inward = new THREE.Vector3(0, 0, 1).applyQuaternion(this.pane.quaternion);
+
+        for (let i = 0; i < CONFIG.shardCount; i++) {
+            const mesh = new THREE.Mesh(geometry, material);
+            mesh.position.set(
+                impact.x + (random('fx') - 0.5) * 2,
+                impact.y + (random('fx') - 0.5) * 2,
+                impact.z
+            ).addScaledVector(inward, 0.05);
+            mesh.rotation.set(random('fx') * Math.PI, random('fx') * Math.PI, 0);
+            this.scene.add(mesh);
+
+            const velocity = inward.clone().multiplyScalar(2 + random('fx') * 4);
+            velocity.x += (random('fx') - 0.5) * 6;
+            velocity.y += random('fx') * 3;
+            this.shards.push({ mesh, velocity, spin: (random('fx') - 0.5) * 20, landed: false });
+        }
+    }
+
+    reset() {
+        this.isCracked = false;
+
+        if (this.material) {
+            this.material.roughness = this.intactGlass.roughness;
+            this.material.transmission = this.intactGlass.transmission;
+            this.material.color.setHex(this.intactGlass.color);
+        }
+
+        if (this.decal) {
+            this.scene.remove(this.decal);
+            this.decal.geometry.dispose();
+            this.decal.material.map.dispose();
+            this.decal.material.dispose();
+            this.decal = null;
+        }
+
+        if (this.shards.length > 0) {
+            // All shards share one geometry and material
+            this.shards[0].mesh.geometry.dispose();
+            this.shards[0].mesh.material.dispose();
+            this.shards.forEach(shard => this.scene.remove(shard.mesh));
+            this.shards = [];
+        }
+
+        this.updateDisplay(false);
+    }
+
+    // isRunning: false while paused (falling shards freeze)
+    // entityAtWindow: something is pressed against the glass (HUD alert)
+    update(dt, isRunning, entityAtWindow) {
+        this.shards.forEach(shard => {
+            if (!isRunning || shard.landed) return;
+            shard.velocity.y -= CONFIG.gravity * dt;
+            shard.mesh.position.addScaledVector(shard.velocity, dt);
+            shard.mesh.rotation.x += shard.spin * dt;
+            shard.mesh.rotation.z += shard.spin * 0.7 * dt;
+
+            // Lie flat on the floor
+            if (shard.mesh.position.y <= 0.02) {
+                shard.mesh.position.y = 0.02;
+                shard.mesh.rotation.set(-Math.PI / 2, 0, shard.mesh.rotation.z);
+                shard.landed = true;
+            }
+        });
+
+        this.updateDisplay(entityAtWindow);
+    }
+
+    updateDisplay(entityAtWindow) {
+        if (!this.statusEl) return;
+
+        const text = entityAtWindow ? "CONTACT" : (this.isCracked ? "CRACKED" : "INTACT");
+        const className = `door-status ${entityAtWindow || this.isCracked ? 'open' : 'closed'}`;
+        if (this.statusEl.innerText !== text) this.statusEl.innerText = text;
+        if (this.statusEl.className !== className) this.statusEl.className = className;
+    }
+}
+
+// Radial cracks from the centre of the canvas, joined by broken concentric rings
+function drawCracks(context, size) {
+    const center = size / 2;
+    context.strokeStyle = 'rgba(225, 240, 235, 0.85)';
+    context.lineCap = 'round';
+
+    // Each crack is a jagged line outwards; its points at the ring radii are kept to join them
+    const ringPoints = CONFIG.rings.map(() => []);
+    for (let i = 0; i < CONFIG.cracks; i++) {
+        let angle = (i / CONFIG.cracks) * Math.PI * 2 + (random('fx') - 0.5) * 0.4;
+        const length = size * (0.3 + random('fx') * 0.2);
+        let x = center, y = center, travelled = 0, ring = 0;
+
+        context.lineWidth = 1 + random('fx') * 2;
+        context.beginPath();
+        context.moveTo(x, y);
+        while (travelled < length) {
+            const step = size * (0.02 + random('fx') * 0.03);
+            angle += (random('fx') - 0.5) * 0.3;
+            x += Math.cos(angle) * step;
+            y += Math.sin(angle) * step;
+            travelled += step;
+            context.lineTo(x, y);
+
+            if (ring < CONFIG.rings.length && travelled >= CONFIG.rings[ring] * size) {
+                ringPoints[ring].push({ x, y });
+                ring++;
+            }
+        }
+        context.stroke();
+    }
+
+    // Ring fractures between neighbouring cracks, some of them missing
+    context.lineWidth = 1;
+    ringPoints.forEach(points => {
+        points.forEach((point, i) => {
+            if (random('fx') < 0.3) return;
+            const next = points[(i + 1) % points.length];
+            context.beginPath();
+            context.moveTo(point.x, point.y);
+            context.lineTo(next.x, next.y);
+            context.stroke();
+        });
+    });
+
+    // Crushed glass at the impact
+    context.fillStyle = 'rgba(235, 245, 240, 0.6)';
+    context.beginPath();
+    context.arc(center, center, size * 0.02, 0, Math.PI * 2);
+    context.fill();
+}